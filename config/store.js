@@ -0,0 +1,50 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Timezone for business dates: discount windows, delivery days, cutoffs and order numbers
+export const STORE_TIMEZONE = process.env.STORE_TIMEZONE || "Asia/Karachi";
+
+// How long after checkout customers may cancel or edit delivery details themselves
+export const ORDER_EDIT_WINDOW_MINUTES = Number(process.env.ORDER_EDIT_WINDOW_MINUTES || 120);
+
+// Days after delivery during which customers can request a return
+export const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS || 7);
+
+// Restart the order number sequence every day (ORD-YYYYMMDD-000001) instead of one running sequence
+export const ORDER_NUMBER_RESET_DAILY = process.env.ORDER_NUMBER_RESET_DAILY === "true";
+
+// How long Idempotency-Key results are kept for replaying retried requests
+export const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24);
+
+// Delivery fee charged while no shipping zones are configured (0 = free)
+export const DEFAULT_SHIPPING_FEE = Number(process.env.DEFAULT_SHIPPING_FEE || 0);
+
+// Cash on delivery: flat fee added to COD orders and the largest order total accepted as COD (0 = no limit)
+export const COD_FEE = Number(process.env.COD_FEE || 0);
+export const COD_MAX_ORDER_VALUE = Number(process.env.COD_MAX_ORDER_VALUE || 0);
+
+// Low-stock alerts: "immediate" emails each crossing, "digest" batches them daily at STOCK_ALERT_DIGEST_HOUR, "off" disables email
+export const STOCK_ALERT_MODE = process.env.STOCK_ALERT_MODE || "immediate";
+export const STOCK_ALERT_DIGEST_HOUR = Number(process.env.STOCK_ALERT_DIGEST_HOUR || 9);
+
+// Sales velocity window and how many days of sales a suggested reorder should cover
+export const SALES_VELOCITY_DAYS = Number(process.env.SALES_VELOCITY_DAYS || 30);
+export const REORDER_COVER_DAYS = Number(process.env.REORDER_COVER_DAYS || 14);
+
+// Media storage provider: "cloudinary", or "local" to keep uploads on disk under LOCAL_MEDIA_DIR,
+// served at MEDIA_PUBLIC_URL. When unset it is "cloudinary" if the Cloudinary env is configured;
+// only outside production does it fall back to "local" (utils/storage refuses to start otherwise).
+const hasCloudinaryEnv = Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET
+);
+export const MEDIA_STORAGE =
+  process.env.MEDIA_STORAGE ||
+  (hasCloudinaryEnv ? "cloudinary" : process.env.NODE_ENV === "production" ? "" : "local");
+export const LOCAL_MEDIA_DIR = process.env.LOCAL_MEDIA_DIR || "uploads/media";
+// Defaults to localhost for development; production with local storage must set it
+export const MEDIA_PUBLIC_URL = (process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/media`).replace(/\/+$/, "");
+
+// The mock courier (fake consignments) only registers when explicitly enabled,
+// and then needs MOCK_COURIER_WEBHOOK_SECRET to sign its webhook calls
+export const COURIER_MOCK_ENABLED = process.env.COURIER_MOCK_ENABLED === "true";
@@ -7,6 +7,8 @@ export const verifyToken = (req, res, next) => {
   const token = auth.split(" ")[1];
   jwt.verify(token, process.env.JWT_SECRET || "devsecret", (err, decoded) => {
     if (err) return res.status(403).json({ message: "Invalid token" });
+    // Purpose tokens (e.g. order tracking links) are not login sessions
+    if (decoded.purpose || decoded.aud) return res.status(403).json({ message: "Invalid token" });
     req.user = decoded; // { id, role, email }
     next();
   });
@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import IdempotencyKey from "../models/IdempotencyKey.js";
+import { IDEMPOTENCY_KEY_TTL_HOURS } from "../config/store.js";
+
+const MAX_KEY_LENGTH = 255;
+// A request that never finished (crash, timeout) stops blocking its key after this long
+const PROCESSING_LOCK_MS = 5 * 60 * 1000;
+
+// JSON with sorted object keys so the same payload always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+const fingerprintOf = (body) => crypto.createHash("sha256").update(stableStringify(body || {})).digest("hex");
+
+// Claim the key for this request; returns the existing record if someone already has it
+async function claimKey(filter, fingerprint) {
+  try {
+    await IdempotencyKey.create({ ...filter, fingerprint, expiresAt: new Date(Date.now() + PROCESSING_LOCK_MS) });
+    return null;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  // Stale lock left by a request that never completed: take it over
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    { ...filter, status: "processing", expiresAt: { $lt: new Date() } },
+    { $set: { fingerprint, expiresAt: new Date(Date.now() + PROCESSING_LOCK_MS) } }
+  );
+  if (takenOver) return null;
+
+  return IdempotencyKey.findOne(filter);
+}
+
+/**
+ * Make a POST route safe to retry with an `Idempotency-Key` header.
+ * The first successful response is stored and replayed for retries with the same key and body;
+ * the same key with a different body gets a 409. Failed responses release the key so the client can retry.
+ * Requests without the header are handled normally. Must run after verifyToken.
+ * @param {string} scope - Name of the operation the keys belong to
+ */
+export const idempotent = (scope) => async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const filter = { key, scope, user: req.user?.id || null };
+    const fingerprint = fingerprintOf(req.body);
+    const existing = await claimKey(filter, fingerprint);
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(409).json({ message: "This Idempotency-Key was already used with a different request" });
+      }
+      if (existing.status === "processing") {
+        return res.status(409).json({ message: "A request with this Idempotency-Key is still being processed" });
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Capture what the handler sends so it can be stored once the response is out
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on("finish", async () => {
+      try {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          await IdempotencyKey.updateOne(filter, {
+            $set: {
+              status: "completed",
+              responseStatus: res.statusCode,
+              responseBody,
+              order: responseBody?.order?._id || null,
+              expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000),
+            },
+          });
+        } else {
+          await IdempotencyKey.deleteOne({ ...filter, status: "processing" });
+        }
+      } catch (err) {
+        console.error("❌ Failed to store idempotency result:", err);
+      }
+    });
+
+    next();
+  } catch (err) {
+    console.error("❌ Idempotency check error:", err);
+    res.status(500).json({ message: "Error processing request" });
+  }
+};
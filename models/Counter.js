@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// Named sequences, incremented atomically with $inc (e.g. "orderNumber" or "orderNumber:20250115")
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
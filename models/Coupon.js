@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String, default: "" },
+    discountType: { type: String, enum: ["percentage", "fixed"], required: true },
+    discountValue: { type: Number, required: true, min: 0 },
+    maxDiscount: { type: Number, default: null }, // Cap for percentage coupons
+    minOrderValue: { type: Number, default: 0 },
+
+    // Usage limits (null = unlimited)
+    usageLimit: { type: Number, default: null },
+    perUserLimit: { type: Number, default: null },
+    usedCount: { type: Number, default: 0 },
+
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    isActive: { type: Boolean, default: true },
+
+    // Scoping - when both are empty the coupon applies to the whole cart
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    categories: [{ type: String }],
+
+    redemptions: [
+      {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+        discount: { type: Number, default: 0 },
+        redeemedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+export default Coupon;
@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+// A day with no deliveries, store-wide or for one zone
+const deliveryBlackoutSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/, index: true }, // YYYY-MM-DD, store time
+    zone: { type: mongoose.Schema.Types.ObjectId, ref: "ShippingZone", default: null }, // null = all zones
+    reason: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+const DeliveryBlackout = mongoose.model("DeliveryBlackout", deliveryBlackoutSchema);
+
+export default DeliveryBlackout;
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A recurring delivery window (e.g. "evening", 17:00-21:00) and how many orders it can take
+const deliverySlotSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    label: { type: String, required: true },
+    startTime: { type: String, required: true, match: TIME_PATTERN }, // HH:mm, store time
+    endTime: { type: String, required: true, match: TIME_PATTERN },
+    capacity: { type: Number, required: true, min: 0 }, // Orders per day across all zones
+    zoneCapacities: [
+      {
+        zone: { type: mongoose.Schema.Types.ObjectId, ref: "ShippingZone", required: true },
+        capacity: { type: Number, required: true, min: 0 },
+      },
+    ],
+    daysOfWeek: { type: [Number], default: [0, 1, 2, 3, 4, 5, 6] }, // 0 = Sunday
+    sameDayCutoff: { type: String, default: null, match: TIME_PATTERN }, // null = no same-day bookings
+    isActive: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+const DeliverySlot = mongoose.model("DeliverySlot", deliverySlotSchema);
+
+export default DeliverySlot;
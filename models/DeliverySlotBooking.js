@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Booked-order counter per slot and day. zone: null is the store-wide counter.
+const deliverySlotBookingSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true }, // YYYY-MM-DD, store time
+    slot: { type: String, required: true }, // DeliverySlot.key
+    zone: { type: mongoose.Schema.Types.ObjectId, ref: "ShippingZone", default: null },
+    booked: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+deliverySlotBookingSchema.index({ date: 1, slot: 1, zone: 1 }, { unique: true });
+
+const DeliverySlotBooking = mongoose.model("DeliverySlotBooking", deliverySlotBookingSchema);
+
+export default DeliverySlotBooking;
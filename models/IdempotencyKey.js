@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Result of a request made with an Idempotency-Key header, replayed on retries
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    scope: { type: String, required: true }, // Route name, e.g. "orders:create"
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    fingerprint: { type: String, required: true }, // SHA-256 of the request body
+    status: { type: String, enum: ["processing", "completed"], default: "processing" },
+    responseStatus: { type: Number, default: null },
+    responseBody: { type: mongoose.Schema.Types.Mixed, default: null },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+idempotencyKeySchema.index({ key: 1, scope: 1, user: 1 }, { unique: true });
+// MongoDB removes documents once expiresAt has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+
+export default IdempotencyKey;
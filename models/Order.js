@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { nextOrderNumber } from "../utils/orderNumber.js";
 
 const orderSchema = new mongoose.Schema(
   {
@@ -15,57 +16,189 @@ const orderSchema = new mongoose.Schema(
       name: { type: String, required: true },
       phone: { type: String, required: true },
       address: { type: String, required: true },
+      city: { type: String, default: "" },
+      province: { type: String, default: "" },
       email: { type: String },
     },
     items: [
       {
         productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
-        name: { type: String, required: true },
+        variantId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Product.variants[]._id
+        sku: { type: String, default: "" },
+        variantLabel: { type: String, default: "" }, // e.g. "Size: 8x10 / Colour: Black"
+        name: { type: String, required: true }, // Includes the variant label
         quantity: { type: Number, required: true },
-        price: { type: Number, required: true },
+        price: { type: Number, required: true }, // Final unit price charged (server-computed)
+        listPrice: { type: Number }, // Catalogue price before discount
+        discountPercentage: { type: Number, default: 0 }, // Discount active at checkout
+        lineTotal: { type: Number }, // price * quantity
+        couponDiscount: { type: Number, default: 0 }, // This line's share of coupon.discount
         imageUrl: String,
         category: { type: String, default: "" }, // Product category for admin insights
       },
     ],
     paymentInfo: {
-      method: { type: String, required: true }, // easypaisa, bank
+      method: { type: String, required: true }, // easypaisa, bank, cod
       screenshotUrl: String,
+      transactionRef: { type: String, default: "" }, // Bank / Easypaisa transaction ID
+      amountReceived: { type: Number, default: 0 },
+      verifiedAt: { type: Date, default: null },
+      verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      rejectionReason: { type: String, default: "" },
+      refundedAmount: { type: Number, default: 0 },
+      refundedAt: { type: Date, default: null },
+      returnRefundedAmount: { type: Number, default: 0 }, // Running total of return refunds (see returnRoutes)
+      // Cash on delivery collection and courier remittance
+      cod: {
+        collectedAmount: { type: Number, default: 0 },
+        collectedAt: { type: Date, default: null },
+        collectedBy: { type: String, enum: ["courier", "rider", ""], default: "" },
+        remittedAmount: { type: Number, default: 0 },
+        remittedAt: { type: Date, default: null },
+        remittanceRef: { type: String, default: "" },
+      },
+    },
+    // Payment verification lifecycle (see utils/payment.js), separate from fulfillment status
+    paymentStatus: {
+      type: String,
+      enum: ["awaiting_proof", "under_review", "cod_pending", "cod_collected", "verified", "rejected", "refunded"],
+      default: "awaiting_proof",
     },
+    paymentHistory: [
+      {
+        status: { type: String, required: true },
+        from: { type: String, default: null },
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        changedByRole: { type: String, default: "system" },
+        note: { type: String, default: "" },
+      },
+    ],
     status: {
       type: String,
       enum: ["pending", "confirmed", "processing", "dispatched", "delivered", "cancelled"],
       default: "pending",
     },
+    // Every status change, oldest first (see utils/orderStatus.js for allowed transitions)
+    statusHistory: [
+      {
+        status: { type: String, required: true },
+        from: { type: String, default: null },
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        changedByRole: { type: String, default: "system" }, // admin, user, system
+        note: { type: String, default: "" },
+      },
+    ],
     totalAmount: {
       type: Number,
       required: true,
     },
+    // Server-side price audit
+    pricing: {
+      subtotal: { type: Number, default: 0 },
+      couponDiscount: { type: Number, default: 0 },
+      giftWrapFee: { type: Number, default: 0 },
+      shippingFee: { type: Number, default: 0 },
+      codFee: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+      clientTotal: { type: Number }, // Total the client submitted, kept for audit
+    },
+    // Gift details - recipient may differ from the buyer in customerInfo
+    gift: {
+      isGift: { type: Boolean, default: false },
+      recipient: {
+        name: { type: String, default: "" },
+        phone: { type: String, default: "" },
+        address: { type: String, default: "" }, // Empty = deliver to customerInfo.address
+        city: { type: String, default: "" },
+      },
+      message: { type: String, default: "", maxlength: 300 }, // Printed on the message card
+      wrap: {
+        option: { type: String, default: "none" },
+        price: { type: Number, default: 0 },
+      },
+      delivery: {
+        date: { type: String, default: "" }, // YYYY-MM-DD in store time
+        timeSlot: { type: String, default: "" }, // DeliverySlot.key
+        timeSlotLabel: { type: String, default: "" },
+      },
+    },
+    // Delivery zone and charge resolved from the delivery city at checkout
+    shipping: {
+      zone: { type: mongoose.Schema.Types.ObjectId, ref: "ShippingZone", default: null },
+      zoneName: { type: String, default: "" },
+      fee: { type: Number, default: 0 },
+      estimatedDelivery: {
+        minDays: { type: Number },
+        maxDays: { type: Number },
+      },
+    },
+    coupon: {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", default: null },
+      code: { type: String, default: "" },
+      discount: { type: Number, default: 0 },
+    },
+    // Customer edits to delivery details, with the values they replaced
+    editHistory: [
+      {
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        changedByRole: { type: String, default: "user" },
+        changes: [
+          {
+            field: { type: String }, // e.g. customerInfo.address
+            from: { type: String, default: "" },
+            to: { type: String, default: "" },
+          },
+        ],
+      },
+    ],
+    // Filled in when the order is dispatched
+    shipment: {
+      courier: { type: String, default: "" },
+      trackingNumber: { type: String, default: "" },
+      trackingUrl: { type: String, default: "" },
+      // Set when booked through a courier adapter (utils/couriers)
+      consignmentNumber: { type: String, default: "" },
+      labelUrl: { type: String, default: "" },
+      bookedAt: { type: Date, default: null },
+      lastEvent: { type: String, default: "" },
+      lastEventAt: { type: Date, default: null },
+      failedAttempts: { type: Number, default: 0 },
+      deliveryIssue: { type: Boolean, default: false }, // A delivery attempt failed and needs follow-up
+      events: [
+        {
+          status: { type: String, required: true }, // Normalized: see SHIPMENT_EVENT_STATUSES
+          description: { type: String, default: "" },
+          location: { type: String, default: "" },
+          occurredAt: { type: Date, required: true },
+          receivedAt: { type: Date, default: Date.now },
+        },
+      ],
+    },
+    cancellationReason: { type: String, default: "" }, // Shown to the customer in the cancellation email
+    stockReserved: { type: Boolean, default: false }, // True while item quantities are held out of Product.stock
+    deliverySlotClaimed: { type: Boolean, default: false }, // True while gift.delivery holds a slot booking
     notes: String, // Admin notes
   },
   { timestamps: true }
 );
 
-// Generate unique order number before saving
+// Indexes for the admin order search and export
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ "items.productId": 1 });
+orderSchema.index({ "shipment.consignmentNumber": 1 });
+
+// Assign the next order number from the atomic counter before the first save
 orderSchema.pre("save", async function (next) {
-  // Only generate if orderNumber is not set (for new documents)
   if (!this.orderNumber && this.isNew) {
     try {
-      // Use this.constructor to get the model (safer than mongoose.model)
-      const OrderModel = this.constructor;
-      const count = await OrderModel.countDocuments();
-      const date = new Date();
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, "0");
-      const day = String(date.getDate()).padStart(2, "0");
-      const sequence = String(count + 1).padStart(6, "0");
-      this.orderNumber = `ORD-${year}${month}${day}-${sequence}`;
+      this.orderNumber = await nextOrderNumber(this.createdAt || new Date());
       next();
     } catch (err) {
       console.error("❌ Error generating order number:", err);
-      // Fallback: use timestamp if count fails
-      const timestamp = Date.now();
-      this.orderNumber = `ORD-${timestamp}`;
-      next();
+      next(err);
     }
   } else {
     next();
@@ -1,13 +1,35 @@
 import mongoose from "mongoose";
 
+// One purchasable combination of option values, e.g. { size: "8x10", colour: "Black" }
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  options: { type: Map, of: String, default: {} },
+  price: { type: Number, default: null }, // Overrides the product price when set
+  stock: { type: Number, default: 0 },
+  stockStatus: { type: String, enum: ["in_stock", "low_stock", "out_of_stock"], default: "in_stock" },
+  imageUrl: { type: String, default: "" }, // Falls back to the product image
+  imagePublicId: { type: String, default: "" }, // Set when uploaded for this variant, so it can be deleted
+  isActive: { type: Boolean, default: true },
+});
+
+// One image or video in the product gallery; array order is display order
+const mediaSchema = new mongoose.Schema({
+  mediaType: { type: String, enum: ["image", "video"], required: true },
+  url: { type: String, required: true },
+  publicId: { type: String, default: "" }, // Storage provider ID, used to delete the asset
+  altText: { type: String, default: "", maxlength: 300 },
+  isPrimary: { type: Boolean, default: false }, // Main image on listings; exactly one image has it
+});
+
 const productSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
     description: String,
     price: { type: Number, required: true },
     category: { type: String },
-    imageUrl: String, // For storing uploaded image URL
-    videoUrl: String, // For storing uploaded video URL
+    imageUrl: String, // Primary gallery image, kept for older clients
+    videoUrl: String, // First gallery video, kept for older clients
+    media: { type: [mediaSchema], default: [] },
     discountPercentage: { type: Number, default: 0 }, // percentage discount
     discountStart: { type: Date, default: null },
     discountEnd: { type: Date, default: null },
@@ -28,10 +50,27 @@ const productSchema = new mongoose.Schema(
     stock: { type: Number, default: 0 },
     stockStatus: { type: String, enum: ["in_stock", "low_stock", "out_of_stock"], default: "in_stock" },
     lowStockThreshold: { type: Number, default: 5 },
+
+    // Variants: option axes (e.g. size, colour) and one entry per combination.
+    // When a product has variants, stock is kept per variant and `stock` is their total.
+    options: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        values: { type: [String], default: [] },
+      },
+    ],
+    variants: { type: [variantSchema], default: [] },
   },
   { timestamps: true }
 );
 
+// SKUs are unique across the catalogue; products without variants are left out of the index
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
 // Calculate final price based on discount & expiry
 productSchema.methods.getFinalPrice = function () {
   const now = new Date();
@@ -47,8 +86,189 @@ productSchema.methods.getFinalPrice = function () {
   return this.price;
 };
 
-// Pre-save hook to update stock status
+// Same rules as the pre-save hook, as an aggregation expression for pipeline updates
+const stockStatusExpression = (stock) => ({
+  $switch: {
+    branches: [
+      { case: { $lte: [stock, 0] }, then: "out_of_stock" },
+      { case: { $lte: [stock, { $ifNull: ["$lowStockThreshold", 5] }] }, then: "low_stock" },
+    ],
+    default: "in_stock",
+  },
+});
+const STOCK_STATUS_EXPRESSION = stockStatusExpression("$stock");
+
+// Recompute every variant's status against the product's threshold
+const VARIANT_STATUS_STAGE = {
+  $set: {
+    variants: {
+      $map: {
+        input: "$variants",
+        as: "v",
+        in: { $mergeObjects: ["$$v", { stockStatus: stockStatusExpression("$$v.stock") }] },
+      },
+    },
+  },
+};
+
+// After a variant stock change: variant statuses, then the product total and its status
+const VARIANT_TOTALS_STAGES = [
+  VARIANT_STATUS_STAGE,
+  { $set: { stock: { $sum: "$variants.stock" } } },
+  { $set: { stockStatus: STOCK_STATUS_EXPRESSION } },
+];
+
+// Replace one variant's stock inside the pipeline, leaving the others untouched
+const setVariantStockStage = (variantId, stockExpression) => ({
+  $set: {
+    variants: {
+      $map: {
+        input: "$variants",
+        as: "v",
+        in: {
+          $cond: [
+            { $eq: ["$$v._id", variantId] },
+            { $mergeObjects: ["$$v", { stock: stockExpression }] },
+            "$$v",
+          ],
+        },
+      },
+    },
+  },
+});
+
+// Atomically add `delta` to stock and recompute stockStatus in the same write.
+// Decrements only match when enough stock is available, so null means "not enough stock".
+// Products with variants are only changed through adjustVariantStock.
+productSchema.statics.adjustStock = function (productId, delta, options = {}) {
+  const filter = { _id: productId, "variants.0": { $exists: false } };
+  if (delta < 0) filter.stock = { $gte: -delta };
+
+  return this.findOneAndUpdate(
+    filter,
+    [
+      { $set: { stock: { $add: [{ $ifNull: ["$stock", 0] }, delta] } } },
+      { $set: { stockStatus: STOCK_STATUS_EXPRESSION } },
+    ],
+    { new: true, ...options }
+  );
+};
+
+// Same as adjustStock for a single variant; the product total and statuses follow in the same write
+productSchema.statics.adjustVariantStock = function (productId, variantId, delta) {
+  const id = new mongoose.Types.ObjectId(String(variantId));
+  const match = { _id: id };
+  if (delta < 0) match.stock = { $gte: -delta };
+
+  return this.findOneAndUpdate(
+    { _id: productId, variants: { $elemMatch: match } },
+    [setVariantStockStage(id, { $add: [{ $ifNull: ["$$v.stock", 0] }, delta] }), ...VARIANT_TOTALS_STAGES],
+    { new: true }
+  );
+};
+
+// Set stock to an exact count (stocktakes). Only matches while stock is still `expectedStock`,
+// so a sale in between makes this return null instead of being overwritten.
+productSchema.statics.setStock = function (productId, expectedStock, newStock) {
+  return this.findOneAndUpdate(
+    { _id: productId, "variants.0": { $exists: false }, stock: expectedStock },
+    [{ $set: { stock: newStock } }, { $set: { stockStatus: STOCK_STATUS_EXPRESSION } }],
+    { new: true }
+  );
+};
+
+productSchema.statics.setVariantStock = function (productId, variantId, expectedStock, newStock) {
+  const id = new mongoose.Types.ObjectId(String(variantId));
+  return this.findOneAndUpdate(
+    { _id: productId, variants: { $elemMatch: { _id: id, stock: expectedStock } } },
+    [setVariantStockStage(id, newStock), ...VARIANT_TOTALS_STAGES],
+    { new: true }
+  );
+};
+
+/**
+ * Save an edit from the admin product form as one update: `fields` and, with `variantEdit`,
+ * new option axes and variant definitions. Variants that already exist keep their current
+ * stock, new ones start at 0. Removing a variant that still has stock fails the match, as
+ * does converting a product whose stock isn't `expectedStock`. Stock statuses are recomputed.
+ * @param {Object} fields - Field values already cast to the schema (see Product.castObject)
+ * @param {Object} edit - { variantEdit: { options, variants, removedIds }, expectedStock }
+ *   variants: plain variant objects with _id, sku, options, price, imageUrl, isActive
+ * @returns {Promise<Object|null>} - Updated product, or null if a guard failed
+ */
+productSchema.statics.saveFormEdit = function (productId, fields, { variantEdit = null, expectedStock } = {}) {
+  const filter = { _id: productId };
+  if (expectedStock !== undefined) filter.stock = expectedStock;
+  const removedIds = variantEdit?.removedIds || [];
+  if (removedIds.length > 0) {
+    filter.variants = { $not: { $elemMatch: { _id: { $in: removedIds }, stock: { $gt: 0 } } } };
+  }
+
+  // Stock of the stored variant with this _id, or 0 for a new one
+  const currentStock = (id) => ({
+    $ifNull: [
+      {
+        $first: {
+          $map: {
+            input: { $filter: { input: "$variants", as: "stored", cond: { $eq: ["$$stored._id", id] } } },
+            as: "stored",
+            in: "$$stored.stock",
+          },
+        },
+      },
+      0,
+    ],
+  });
+
+  // Pipeline updates aren't cast, and $literal keeps values starting with "$" from being read as field paths
+  const set = Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, { $literal: value }]));
+  if (variantEdit) {
+    set.options = { $literal: variantEdit.options };
+    set.variants = variantEdit.variants.map((variant) => ({
+      $mergeObjects: [{ $literal: variant }, { stock: currentStock(variant._id) }],
+    }));
+  }
+
+  return this.findOneAndUpdate(
+    filter,
+    [
+      { $set: set },
+      VARIANT_STATUS_STAGE,
+      // With variants, stock is their total; a product without them keeps its own count
+      { $set: { stock: { $cond: [{ $gt: [{ $size: "$variants" }, 0] }, { $sum: "$variants.stock" }, "$stock"] } } },
+      { $set: { stockStatus: STOCK_STATUS_EXPRESSION } },
+    ],
+    { new: true }
+  );
+};
+
+const statusForStock = (stock, threshold) => {
+  if (stock <= 0) return "out_of_stock";
+  if (stock <= threshold) return "low_stock";
+  return "in_stock";
+};
+
+// Pre-save hook to update stock status and the single image/video fields
 productSchema.pre("save", function (next) {
+  // New products created without a gallery keep whatever imageUrl they were given
+  if (this.isModified("media") && (this.media.length > 0 || !this.isNew)) {
+    const images = this.media.filter((item) => item.mediaType === "image");
+    const primary = images.find((item) => item.isPrimary) || images[0];
+    images.forEach((item) => {
+      item.isPrimary = item === primary;
+    });
+    this.imageUrl = primary?.url || "";
+    this.videoUrl = this.media.find((item) => item.mediaType === "video")?.url || "";
+  }
+
+  // With variants, stock is the total of the variants
+  if (this.variants.length > 0) {
+    this.variants.forEach((variant) => {
+      variant.stockStatus = statusForStock(variant.stock, this.lowStockThreshold);
+    });
+    this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+  }
+
   if (this.stock <= 0) {
     this.stockStatus = "out_of_stock";
   } else if (this.stock <= this.lowStockThreshold) {
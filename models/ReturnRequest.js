@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, index: true },
+    orderNumber: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    items: [
+      {
+        orderItemId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order.items[]._id
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        name: { type: String, required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        unitPrice: { type: Number, required: true }, // Unit price paid after the coupon, for refund limits
+      },
+    ],
+    reasonType: {
+      type: String,
+      enum: ["damaged", "wrong_item", "not_as_described", "changed_mind", "other"],
+      required: true,
+    },
+    description: { type: String, default: "", maxlength: 2000 },
+    photos: [{ type: String }], // Media storage URLs
+    status: {
+      type: String,
+      enum: ["requested", "approved", "rejected", "refunded"],
+      default: "requested",
+      index: true,
+    },
+    rejectionReason: { type: String, default: "" },
+    restocked: { type: Boolean, default: false },
+    refund: {
+      amount: { type: Number, default: 0 },
+      method: { type: String, enum: ["easypaisa", "bank", "cash", "store_credit", ""], default: "" },
+      reference: { type: String, default: "" },
+      refundedAt: { type: Date, default: null },
+      refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    },
+    history: [
+      {
+        status: { type: String, required: true },
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        changedByRole: { type: String, default: "user" },
+        note: { type: String, default: "" },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+const ReturnRequest = mongoose.model("ReturnRequest", returnRequestSchema);
+
+export default ReturnRequest;
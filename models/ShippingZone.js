@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+const normalizeList = (values) =>
+  [...new Set((values || []).map((v) => String(v).trim().toLowerCase()).filter(Boolean))];
+
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // Matched case-insensitively; cities win over provinces
+    cities: { type: [String], default: [], set: normalizeList },
+    provinces: { type: [String], default: [], set: normalizeList },
+    flatFee: { type: Number, required: true, min: 0 },
+    freeShippingThreshold: { type: Number, default: null }, // null = never free
+    estimatedDelivery: {
+      minDays: { type: Number, default: 2 },
+      maxDays: { type: Number, default: 5 },
+    },
+    codAllowed: { type: Boolean, default: true },
+    isDefault: { type: Boolean, default: false }, // Fallback for cities no zone lists
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+shippingZoneSchema.index({ cities: 1 });
+shippingZoneSchema.index({ provinces: 1 });
+
+const ShippingZone = mongoose.model("ShippingZone", shippingZoneSchema);
+
+export default ShippingZone;
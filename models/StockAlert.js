@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// A product crossing into low_stock or out_of_stock; notifiedAt stays null until it has been emailed
+const stockAlertSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    productName: { type: String, default: "" },
+    level: { type: String, enum: ["low_stock", "out_of_stock"], required: true },
+    stock: { type: Number, required: true }, // Stock right after the crossing
+    lowStockThreshold: { type: Number, required: true },
+    unitsPerDay: { type: Number, default: 0 },
+    suggestedReorder: { type: Number, default: 0 },
+    notifiedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+stockAlertSchema.index({ notifiedAt: 1, createdAt: 1 });
+stockAlertSchema.index({ product: 1, createdAt: -1 });
+
+const StockAlert = mongoose.model("StockAlert", stockAlertSchema);
+
+export default StockAlert;
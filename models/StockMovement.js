@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+export const STOCK_MOVEMENT_TYPES = [
+  "initial", // Opening stock when a product is created
+  "receive", // New stock from a supplier
+  "correction", // Stocktake or manual fix
+  "damage", // Written off as damaged or lost
+  "return_restock", // Returned by a customer and put back on the shelf
+  "sale", // Held for an order at checkout
+  "sale_released", // Order cancelled or checkout failed, stock put back
+];
+
+// Append-only ledger of every change to Product.stock
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    productName: { type: String, default: "" },
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null }, // Product.variants[]._id
+    sku: { type: String, default: "" },
+    type: { type: String, enum: STOCK_MOVEMENT_TYPES, required: true },
+    delta: { type: Number, required: true }, // Signed change in units
+    balanceAfter: { type: Number, required: true }, // Product.stock right after this movement
+    variantBalanceAfter: { type: Number, default: null }, // Variant stock right after, for variant movements
+    reason: { type: String, default: "" },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+    returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: "ReturnRequest", default: null },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    changedByRole: { type: String, default: "system" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+
+// Ledger entries are never edited or removed; mistakes are fixed with a correction entry
+const refuseChange = function (next) {
+  next(new Error("Stock movements are append-only"));
+};
+stockMovementSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  refuseChange
+);
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+
+export default StockMovement;
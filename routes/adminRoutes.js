@@ -4,15 +4,34 @@ import mongoose from "mongoose";
 import Product from "../models/Product.js";
 import Review from "../models/Review.js";
 import Order from "../models/Order.js";
+import StockMovement from "../models/StockMovement.js";
+import StockAlert from "../models/StockAlert.js";
 import { verifyToken, isAdmin } from "../middleware/auth.js";
 import moment from "moment-timezone";
-import { uploadToCloudinary } from "../utils/uploadCloudinary.js";
+import { uploadAsset, mediaUrl, UPLOAD_TEMP_DIR } from "../utils/storage/index.js";
+import {
+  MAX_MEDIA_ITEMS,
+  collectMediaUploads,
+  uploadMediaFiles,
+  addMediaItems,
+  galleryFields,
+  mediaCountAfter,
+  seedLegacyMedia,
+  setPrimaryMedia,
+  reorderMedia,
+  deleteMediaAssets,
+} from "../utils/productMedia.js";
+import { getDiscountInfo, discountedPrice, roundMoney } from "../utils/pricing.js";
+import { adjustProductStock, recordStockMovement, staleStockEdit } from "../utils/inventory.js";
+import { getLowStockReport, sendStockAlertDigest } from "../utils/stockAlerts.js";
+import { normalizeVariants, variantLabel, plainOptions } from "../utils/variants.js";
+import { STORE_TIMEZONE, SALES_VELOCITY_DAYS, STOCK_ALERT_MODE } from "../config/store.js";
 
 const router = express.Router();
 
 // ===== Multer Config =====
 const upload = multer({
-  dest: "uploads/",
+  dest: UPLOAD_TEMP_DIR,
   limits: { fileSize: 50 * 1024 * 1024 }, // allow videos up to 50MB
   fileFilter: (req, file, cb) => {
     const allowed = [
@@ -32,29 +51,6 @@ const upload = multer({
   },
 });
 
-// ===== Helper: Discount Logic =====
-function getDiscountInfo(product) {
-  const now = moment().tz("Asia/Karachi");
-  let discountActive = false;
-  let discountExpiry = null;
-
-  if (product.discountPercentage > 0 && product.discountStart && product.discountEnd) {
-    const discountStart = moment(product.discountStart).tz("Asia/Karachi");
-    const discountEnd = moment(product.discountEnd).tz("Asia/Karachi");
-
-    discountActive = now.isBetween(discountStart, discountEnd, null, "[]");
-    // Send ISO so frontend can localize precisely without double converting
-    discountExpiry = discountEnd.toISOString();
-  }
-
-  return {
-    discountActive,
-    discountExpiry,
-    finalPrice: discountActive ? product.getFinalPrice() : product.price,
-    discountPercentage: product.discountPercentage || 0,
-  };
-}
-
 function parseBundleItems(input) {
   if (!input) return [];
   if (Array.isArray(input)) {
@@ -78,12 +74,39 @@ function parseBundleItems(input) {
   return [];
 }
 
+// Variant matrix with each variant's effective price and the current discount applied
+function decorateVariants(product, discount) {
+  return (product.variants || []).map((variant) => {
+    const price = variant.price ?? product.price;
+    return {
+      _id: variant._id,
+      sku: variant.sku,
+      options: plainOptions(variant.options),
+      label: variantLabel(product, variant),
+      price: roundMoney(price),
+      finalPrice: discountedPrice(price, discount),
+      imageUrl: variant.imageUrl || product.imageUrl || "",
+      stock: variant.stock,
+      stockStatus: variant.stockStatus,
+      isActive: variant.isActive,
+    };
+  });
+}
+
 function decorateProduct(product) {
-  const { discountActive, discountExpiry, finalPrice, discountPercentage } = getDiscountInfo(product);
+  const discount = getDiscountInfo(product);
+  const { discountActive, discountExpiry, finalPrice, discountPercentage } = discount;
+  const variants = decorateVariants(product, discount);
+  const activePrices = variants.filter((v) => v.isActive).map((v) => v.finalPrice);
 
   return {
     ...product._doc,
     imageUrl: product.imageUrl,
+    thumbnailUrl: mediaUrl(product.imageUrl, "thumbnail"),
+    media: (product.media || []).map((item) => ({
+      ...item.toObject(),
+      thumbnailUrl: item.mediaType === "image" ? mediaUrl(item.url, "thumbnail") : "",
+    })),
     discountPercentage: discountActive ? discountPercentage : 0,
     discountStart: discountActive ? product.discountStart : null,
     discountEnd: discountActive ? product.discountEnd : null,
@@ -92,9 +115,80 @@ function decorateProduct(product) {
     isDiscountActive: discountActive,
     averageRating: Number(product.averageRating || 0),
     ratingCount: product.ratingCount || 0,
+    variants,
+    // "From Rs.X" on listings when variants are priced differently
+    priceRange: activePrices.length > 0
+      ? { min: Math.min(...activePrices), max: Math.max(...activePrices) }
+      : { min: finalPrice, max: finalPrice },
   };
 }
 
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+// Single image/video from the product form, plus any number of gallery files
+const productMediaFields = upload.fields([
+  { name: "image", maxCount: 1 },
+  { name: "video", maxCount: 1 },
+  { name: "media", maxCount: MAX_MEDIA_ITEMS },
+]);
+
+const tooManyMediaMessage = `A product can have at most ${MAX_MEDIA_ITEMS} images and videos`;
+
+// Variant images uploaded through /variant-image belong to the variant and are deleted with it
+const variantImageAssets = (variants) =>
+  variants
+    .filter((v) => v.imagePublicId)
+    .map((v) => ({ mediaType: "image", url: v.imageUrl, publicId: v.imagePublicId }));
+
+// Stock fields arrive as strings from multipart forms
+function validateStockFields({ stock, expectedStock, lowStockThreshold }) {
+  if (!isBlank(stock) && (!Number.isInteger(Number(stock)) || Number(stock) < 0)) {
+    return "Stock must be a whole number of zero or more";
+  }
+  if (!isBlank(expectedStock) && (!Number.isInteger(Number(expectedStock)) || Number(expectedStock) < 0)) {
+    return "Expected stock must be a whole number of zero or more";
+  }
+  if (!isBlank(lowStockThreshold) && (!Number.isInteger(Number(lowStockThreshold)) || Number(lowStockThreshold) < 0)) {
+    return "Low stock threshold must be a whole number of zero or more";
+  }
+  return null;
+}
+
+// Opening stock for new variants and stocktake corrections for existing ones, all through the ledger
+async function applyVariantStock(productId, stockChanges, actor) {
+  for (const change of stockChanges) {
+    if (change.isNew) {
+      if (change.stock === 0) continue;
+      const product = await Product.adjustVariantStock(productId, change._id, change.stock);
+      if (product) {
+        await recordStockMovement(product, {
+          type: "initial",
+          delta: change.stock,
+          variantId: change._id,
+          reason: "Opening stock",
+          actor,
+        });
+      }
+    } else {
+      // Stock the form didn't edit stays as it is, even if sales moved it meanwhile
+      if (change.expectedStock === null || change.stock === change.expectedStock) continue;
+      const result = await adjustProductStock(productId, {
+        type: "correction",
+        newStock: change.stock,
+        expectedStock: change.expectedStock,
+        variantId: change._id,
+        reason: "Stock count updated from product form",
+        actor,
+      });
+      if (!result.success) return { ...result, message: `${change.sku}: ${result.message}` };
+    }
+  }
+  return { success: true };
+}
+
+const duplicateSkuResponse = (res) =>
+  res.status(409).json({ message: "One of these SKUs is already used by another product" });
+
 async function recalculateProductRating(productId) {
   const result = await Review.aggregate([
     { $match: { product: new mongoose.Types.ObjectId(productId) } },
@@ -129,10 +223,7 @@ router.get("/dashboard", verifyToken, isAdmin, async (req, res) => {
 });
 
 // ===== Add Product =====
-router.post("/add-product", verifyToken, isAdmin, upload.fields([
-  { name: "image", maxCount: 1 },
-  { name: "video", maxCount: 1 },
-]), async (req, res) => {
+router.post("/add-product", verifyToken, isAdmin, productMediaFields, async (req, res) => {
   try {
     const {
       name,
@@ -148,6 +239,11 @@ router.post("/add-product", verifyToken, isAdmin, upload.fields([
       promoDescription,
       promoExpiresAt,
       bundleItems,
+      stock,
+      lowStockThreshold,
+      options,
+      variants,
+      altText,
     } = req.body;
 
     if (!name || !description || !price || !category) {
@@ -157,22 +253,22 @@ router.post("/add-product", verifyToken, isAdmin, upload.fields([
     const priceNum = Number(price);
     if (Number.isNaN(priceNum) || priceNum < 0) return res.status(400).json({ message: "Invalid price" });
 
-    let imageUrl = "";
-    let videoUrl = "";
-    const imageFile = req.files?.image?.[0];
-    const videoFile = req.files?.video?.[0];
-    if (imageFile) {
-      imageUrl = await uploadToCloudinary(imageFile.path, "products/images");
-    }
-    if (videoFile) {
-      videoUrl = await uploadToCloudinary(videoFile.path, "products/videos", { resource_type: "auto" });
-    }
+    const stockError = validateStockFields({ stock, lowStockThreshold });
+    if (stockError) return res.status(400).json({ message: stockError });
+
+    const variantInput = normalizeVariants({ options, variants });
+    if (variantInput.error) return res.status(400).json({ message: variantInput.error });
+    const hasVariants = variantInput.variants.length > 0;
+
+    const uploads = collectMediaUploads(req.files, altText);
+    if (uploads.length > MAX_MEDIA_ITEMS) return res.status(400).json({ message: tooManyMediaMessage });
+    const media = await uploadMediaFiles(uploads);
 
     const discountStartDate = discountStart
-      ? moment.tz(discountStart, "Asia/Karachi").toISOString()
+      ? moment.tz(discountStart, STORE_TIMEZONE).toISOString()
       : null;
     const discountEndDate = discountEnd
-      ? moment.tz(discountEnd, "Asia/Karachi").toISOString()
+      ? moment.tz(discountEnd, STORE_TIMEZONE).toISOString()
       : null;
 
     const product = new Product({
@@ -183,31 +279,52 @@ router.post("/add-product", verifyToken, isAdmin, upload.fields([
       discountPercentage: Number(discountPercentage || 0),
       discountStart: discountStartDate,
       discountEnd: discountEndDate,
-      imageUrl,
-      videoUrl,
+      imageUrl: "",
+      videoUrl: "",
       isFeatured: Boolean(isFeatured === "true" || isFeatured === true),
       promotionBadge: promotionBadge || "",
       promoCode: promoCode || "",
       promoDescription: promoDescription || "",
       promoExpiresAt: promoExpiresAt
-        ? moment.tz(promoExpiresAt, "Asia/Karachi").toISOString()
+        ? moment.tz(promoExpiresAt, STORE_TIMEZONE).toISOString()
         : null,
       bundleItems: parseBundleItems(bundleItems),
+      // Variants start empty and get their opening stock through the ledger below
+      stock: hasVariants || isBlank(stock) ? 0 : Number(stock),
+      ...(isBlank(lowStockThreshold) ? {} : { lowStockThreshold: Number(lowStockThreshold) }),
+      options: variantInput.options,
+      variants: variantInput.variants,
     });
 
-    await product.save();
-    res.json({ message: "✅ Product added successfully", product });
+    addMediaItems(product, media);
+
+    try {
+      await product.save();
+    } catch (err) {
+      await deleteMediaAssets(media);
+      throw err;
+    }
+    if (hasVariants) {
+      await applyVariantStock(product._id, variantInput.stockChanges, req.user);
+    } else if (product.stock > 0) {
+      await recordStockMovement(product, {
+        type: "initial",
+        delta: product.stock,
+        reason: "Opening stock",
+        actor: req.user,
+      });
+    }
+    const saved = hasVariants ? await Product.findById(product._id) : product;
+    res.json({ message: "✅ Product added successfully", product: saved });
   } catch (err) {
+    if (err.code === 11000) return duplicateSkuResponse(res);
     console.error("❌ Add product error:", err);
     res.status(500).json({ message: "Error adding product", error: err.message });
   }
 });
 
 // ===== Update Product =====
-router.put("/update-product/:id", verifyToken, isAdmin, upload.fields([
-  { name: "image", maxCount: 1 },
-  { name: "video", maxCount: 1 },
-]), async (req, res) => {
+router.put("/update-product/:id", verifyToken, isAdmin, productMediaFields, async (req, res) => {
   try {
     const {
       name,
@@ -223,8 +340,57 @@ router.put("/update-product/:id", verifyToken, isAdmin, upload.fields([
       promoDescription,
       promoExpiresAt,
       bundleItems,
+      stock,
+      expectedStock,
+      lowStockThreshold,
+      options,
+      variants,
+      altText,
     } = req.body;
 
+    const stockError = validateStockFields({ stock, expectedStock, lowStockThreshold });
+    if (stockError) return res.status(400).json({ message: stockError });
+
+    const existing = await Product.findById(req.params.id).select("stock variants media imageUrl videoUrl");
+    if (!existing) return res.status(404).json({ message: "Product not found" });
+
+    const uploads = collectMediaUploads(req.files, altText);
+    if (mediaCountAfter(existing, uploads) > MAX_MEDIA_ITEMS) {
+      return res.status(400).json({ message: tooManyMediaMessage });
+    }
+
+    // Options and variants are only replaced when the form sends them
+    let variantInput = null;
+    if (options !== undefined || variants !== undefined) {
+      variantInput = normalizeVariants({ options, variants }, existing.variants);
+      if (variantInput.error) return res.status(400).json({ message: variantInput.error });
+
+      const removedWithStock = existing.variants.filter(
+        (v) => v.stock > 0 && variantInput.removedIds.some((id) => id.equals(v._id))
+      );
+      if (removedWithStock.length > 0) {
+        return res.status(400).json({
+          message: `Set stock to 0 before removing variants: ${removedWithStock.map((v) => v.sku).join(", ")}`,
+        });
+      }
+
+      for (const change of variantInput.stockChanges.filter((c) => !c.isNew)) {
+        const refusal = staleStockEdit({ ...change, label: change.sku });
+        if (refusal) return res.status(refusal.httpStatus).json({ message: refusal.message });
+      }
+    }
+
+    // Refuse a stale stock count up front, before anything else is saved
+    const editsPlainStock = existing.variants.length === 0 && !variantInput?.variants.length && !isBlank(stock);
+    if (editsPlainStock) {
+      const refusal = staleStockEdit({
+        stock: Number(stock),
+        expectedStock: isBlank(expectedStock) ? null : Number(expectedStock),
+        currentStock: existing.stock,
+      });
+      if (refusal) return res.status(refusal.httpStatus).json({ message: refusal.message });
+    }
+
     const updateData = {
       name,
       description,
@@ -232,38 +398,372 @@ router.put("/update-product/:id", verifyToken, isAdmin, upload.fields([
       category,
       discountPercentage: Number(discountPercentage || 0),
       discountStart: discountStart
-        ? moment.tz(discountStart, "Asia/Karachi").toISOString()
+        ? moment.tz(discountStart, STORE_TIMEZONE).toISOString()
         : null,
       discountEnd: discountEnd
-        ? moment.tz(discountEnd, "Asia/Karachi").toISOString()
+        ? moment.tz(discountEnd, STORE_TIMEZONE).toISOString()
         : null,
       isFeatured: Boolean(isFeatured === "true" || isFeatured === true),
       promotionBadge: promotionBadge || "",
       promoCode: promoCode || "",
       promoDescription: promoDescription || "",
       promoExpiresAt: promoExpiresAt
-        ? moment.tz(promoExpiresAt, "Asia/Karachi").toISOString()
+        ? moment.tz(promoExpiresAt, STORE_TIMEZONE).toISOString()
         : null,
       bundleItems: parseBundleItems(bundleItems),
     };
+    if (!isBlank(lowStockThreshold)) updateData.lowStockThreshold = Number(lowStockThreshold);
+
+    // Everything is checked; upload new media before writing, so a failed upload changes nothing
+    const media = await uploadMediaFiles(uploads);
+    const replacedMedia = media.length > 0 ? addMediaItems(existing, media) : [];
 
-    const imageFile = req.files?.image?.[0];
-    const videoFile = req.files?.video?.[0];
-    if (imageFile) updateData.imageUrl = await uploadToCloudinary(imageFile.path, "products/images");
-    if (videoFile) updateData.videoUrl = await uploadToCloudinary(videoFile.path, "products/videos", { resource_type: "auto" });
+    // Splitting a plain product into variants moves its stock count to the variants
+    const converting = existing.variants.length === 0 && variantInput?.variants.length > 0;
+    let updatedProduct;
+    try {
+      const fields = {
+        ...Product.castObject(updateData),
+        // castObject drops nulls, which here clear a date
+        ...Object.fromEntries(Object.entries(updateData).filter(([, value]) => value === null)),
+        ...(media.length > 0 ? galleryFields(existing) : {}),
+      };
+      updatedProduct = await Product.saveFormEdit(req.params.id, fields, {
+        variantEdit: variantInput,
+        expectedStock: converting ? existing.stock : undefined,
+      });
+    } catch (err) {
+      await deleteMediaAssets(media);
+      throw err;
+    }
+    if (!updatedProduct) {
+      await deleteMediaAssets(media);
+      return res.status(409).json({ message: "Stock changed while saving the product. Please try again." });
+    }
+
+    // The product is saved; now the stock changes go through the ledger
+    let stockResult = { success: true };
+    if (converting && existing.stock !== 0) {
+      await recordStockMovement(updatedProduct, {
+        type: "correction",
+        delta: -existing.stock,
+        reason: "Product split into variants; stock is now counted per variant",
+        actor: req.user,
+      });
+    }
+    if (variantInput) {
+      stockResult = await applyVariantStock(updatedProduct._id, variantInput.stockChanges, req.user);
+    } else if (editsPlainStock && !isBlank(expectedStock) && Number(stock) !== Number(expectedStock)) {
+      // Products with variants are counted per variant, so the total from the form is ignored
+      stockResult = await adjustProductStock(updatedProduct._id, {
+        type: "correction",
+        newStock: stock,
+        expectedStock,
+        reason: "Stock count updated from product form",
+        actor: req.user,
+      });
+    }
+
+    // Old assets go last, once nothing points at them: replaced gallery items, and uploaded
+    // images of removed variants or of variants given a different image
+    await deleteMediaAssets(replacedMedia);
+    if (variantInput) {
+      const keptImages = new Set(variantInput.variants.map((v) => v.imagePublicId).filter(Boolean));
+      await deleteMediaAssets(variantImageAssets(existing.variants).filter((asset) => !keptImages.has(asset.publicId)));
+    }
+
+    if (!stockResult.success) {
+      return res.status(stockResult.httpStatus).json({ message: `Product saved, but stock wasn't updated: ${stockResult.message}` });
+    }
+    updatedProduct = (await Product.findById(updatedProduct._id)) || updatedProduct;
 
-    const updatedProduct = await Product.findByIdAndUpdate(req.params.id, updateData, { new: true });
     res.json({ message: "Product updated successfully", updatedProduct });
   } catch (err) {
+    if (err.code === 11000) return duplicateSkuResponse(res);
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
     console.error("❌ Update product error:", err);
     res.status(500).json({ message: "Error updating product" });
   }
 });
 
+// ===== Adjust Stock =====
+// type: receive | damage | return_restock (positive quantity) or correction (signed quantity, or newStock for a stocktake)
+// Products with variants need the variantId being adjusted
+// expectedStock (optional, with newStock): the count the stocktake started from; 409 if stock moved since
+router.post("/adjust-stock/:id", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { type, quantity, newStock, expectedStock, variantId, reason, orderId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (orderId && !mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ message: "Invalid order ID" });
+    }
+
+    const result = await adjustProductStock(req.params.id, {
+      type,
+      quantity,
+      newStock,
+      expectedStock,
+      variantId,
+      reason,
+      orderId,
+      actor: req.user,
+    });
+    if (!result.success) {
+      return res.status(result.httpStatus).json({ message: result.message });
+    }
+
+    res.json({
+      message: result.movement ? "Stock updated" : "Stock already matches",
+      product: {
+        _id: result.product._id,
+        stock: result.product.stock,
+        stockStatus: result.product.stockStatus,
+        variants: result.product.variants.map(({ _id, sku, stock, stockStatus }) => ({ _id, sku, stock, stockStatus })),
+      },
+    });
+  } catch (err) {
+    console.error("❌ Adjust stock error:", err);
+    res.status(500).json({ message: "Error adjusting stock" });
+  }
+});
+
+// ===== Media Gallery: Add =====
+router.post("/media/:id", verifyToken, isAdmin, upload.array("media", MAX_MEDIA_ITEMS), async (req, res) => {
+  try {
+    const uploads = collectMediaUploads({ media: req.files }, req.body.altText);
+    if (uploads.length === 0) return res.status(400).json({ message: "Choose at least one image or video" });
+
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: "Product not found" });
+    if (mediaCountAfter(product, uploads) > MAX_MEDIA_ITEMS) {
+      return res.status(400).json({ message: tooManyMediaMessage });
+    }
+
+    const media = await uploadMediaFiles(uploads);
+    addMediaItems(product, media);
+    try {
+      await product.save();
+    } catch (err) {
+      await deleteMediaAssets(media);
+      throw err;
+    }
+
+    res.status(201).json({ message: `${media.length} item(s) added`, media: product.media });
+  } catch (err) {
+    console.error("❌ Add media error:", err);
+    res.status(500).json({ message: "Error adding media" });
+  }
+});
+
+// ===== Media Gallery: Reorder =====
+// body: { order: [mediaId, ...] } listing every item
+router.put("/media/:id/reorder", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const result = reorderMedia(product, req.body.order);
+    if (!result.success) return res.status(result.httpStatus).json({ message: result.message });
+
+    await product.save();
+    res.json({ message: "Media reordered", media: product.media });
+  } catch (err) {
+    console.error("❌ Reorder media error:", err);
+    res.status(500).json({ message: "Error reordering media" });
+  }
+});
+
+// ===== Media Gallery: Edit Alt Text / Set Primary =====
+router.put("/media/:id/:mediaId", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { altText, isPrimary } = req.body;
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const item = product.media.id(req.params.mediaId);
+    if (!item) return res.status(404).json({ message: "Media item not found" });
+
+    if (altText !== undefined) item.altText = String(altText).trim();
+    if (isPrimary === true || isPrimary === "true") {
+      const result = setPrimaryMedia(product, item._id);
+      if (!result.success) return res.status(result.httpStatus).json({ message: result.message });
+    }
+
+    await product.save();
+    res.json({ message: "Media updated", media: product.media });
+  } catch (err) {
+    console.error("❌ Update media error:", err);
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: "Error updating media" });
+  }
+});
+
+// ===== Media Gallery: Delete =====
+router.delete("/media/:id/:mediaId", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const item = product.media.id(req.params.mediaId);
+    if (!item) return res.status(404).json({ message: "Media item not found" });
+
+    const removed = item.toObject();
+    product.media.pull(item._id);
+    await product.save();
+    await deleteMediaAssets([removed]);
+
+    res.json({ message: "Media deleted", media: product.media });
+  } catch (err) {
+    console.error("❌ Delete media error:", err);
+    res.status(500).json({ message: "Error deleting media" });
+  }
+});
+
+// ===== Upload Variant Image =====
+router.put("/variant-image/:id/:variantId", verifyToken, isAdmin, upload.single("image"), async (req, res) => {
+  try {
+    if (!req.file || !req.file.mimetype.startsWith("image/")) {
+      return res.status(400).json({ message: "An image file is required" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.variantId)) {
+      return res.status(404).json({ message: "Variant not found" });
+    }
+
+    const asset = await uploadAsset(req.file, "products/variants");
+    const before = await Product.findOneAndUpdate(
+      { _id: req.params.id, "variants._id": req.params.variantId },
+      { $set: { "variants.$.imageUrl": asset.url, "variants.$.imagePublicId": asset.publicId } }
+    );
+    if (!before) {
+      await deleteMediaAssets([{ mediaType: "image", url: asset.url, publicId: asset.publicId }]);
+      return res.status(404).json({ message: "Variant not found" });
+    }
+    await deleteMediaAssets(variantImageAssets(before.variants.filter((v) => v._id.equals(req.params.variantId))));
+
+    const product = await Product.findById(req.params.id);
+    res.json({ message: "Variant image updated", imageUrl: asset.url, product: decorateProduct(product) });
+  } catch (err) {
+    console.error("❌ Variant image upload error:", err);
+    res.status(500).json({ message: "Error uploading variant image" });
+  }
+});
+
+// ===== Stock History =====
+router.get("/stock-history/:id", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { type, variantId, page = 1, limit = 50 } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      return res.status(400).json({ message: "Invalid variant ID" });
+    }
+
+    const product = await Product.findById(req.params.id).select(
+      "name stock stockStatus lowStockThreshold variants._id variants.sku variants.stock variants.stockStatus"
+    );
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const filter = { product: product._id };
+    if (type && type !== "all") filter.type = type;
+    if (variantId) filter.variant = variantId;
+
+    const total = await StockMovement.countDocuments(filter);
+    const movements = await StockMovement.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .populate("order", "orderNumber")
+      .populate("changedBy", "firstName lastName email");
+
+    res.json({
+      product,
+      movements,
+      totalPages: Math.ceil(total / limit),
+      currentPage: Number(page),
+      total,
+    });
+  } catch (err) {
+    console.error("❌ Stock history error:", err);
+    res.status(500).json({ message: "Error fetching stock history" });
+  }
+});
+
+// ===== Low Stock Report =====
+router.get("/low-stock", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? SALES_VELOCITY_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return res.status(400).json({ message: "days must be a whole number between 1 and 365" });
+    }
+
+    const products = await getLowStockReport(days);
+    res.json({
+      days,
+      products,
+      outOfStock: products.filter((p) => p.stock <= 0).length,
+      total: products.length,
+    });
+  } catch (err) {
+    console.error("❌ Low stock report error:", err);
+    res.status(500).json({ message: "Error fetching low stock report" });
+  }
+});
+
+// ===== Stock Alerts =====
+router.get("/stock-alerts", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { level, pending, page = 1, limit = 50 } = req.query;
+    const filter = {};
+    if (level && level !== "all") filter.level = level;
+    if (pending === "true") filter.notifiedAt = null;
+
+    const total = await StockAlert.countDocuments(filter);
+    const alerts = await StockAlert.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+
+    res.json({
+      mode: STOCK_ALERT_MODE,
+      alerts,
+      totalPages: Math.ceil(total / limit),
+      currentPage: Number(page),
+      total,
+    });
+  } catch (err) {
+    console.error("❌ Stock alerts error:", err);
+    res.status(500).json({ message: "Error fetching stock alerts" });
+  }
+});
+
+// ===== Send Stock Alert Digest Now =====
+router.post("/stock-alerts/send-digest", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const result = await sendStockAlertDigest();
+    if (!result.success) {
+      return res.status(502).json({ message: "Failed to send stock alert digest", error: result.error });
+    }
+    res.json({
+      message: result.sent > 0 ? `Digest sent with ${result.sent} alert(s)` : "No pending stock alerts",
+      sent: result.sent,
+    });
+  } catch (err) {
+    console.error("❌ Stock alert digest error:", err);
+    res.status(500).json({ message: "Error sending stock alert digest" });
+  }
+});
+
 // ===== Delete Product =====
 router.delete("/delete-product/:id", verifyToken, isAdmin, async (req, res) => {
   try {
-    await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findByIdAndDelete(req.params.id);
+    if (product) {
+      seedLegacyMedia(product);
+      await deleteMediaAssets([...product.media, ...variantImageAssets(product.variants)]);
+    }
     res.json({ message: "Product deleted successfully" });
   } catch (err) {
     console.error("❌ Delete product error:", err);
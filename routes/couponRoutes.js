@@ -0,0 +1,193 @@
+import express from "express";
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import Coupon from "../models/Coupon.js";
+import { verifyToken, isAdmin } from "../middleware/auth.js";
+import { quoteOrder } from "../utils/checkout.js";
+import { normalizeCouponCode } from "../utils/coupons.js";
+import { STORE_TIMEZONE } from "../config/store.js";
+
+const router = express.Router();
+
+const parseDate = (value) => (value ? moment.tz(value, STORE_TIMEZONE).toISOString() : null);
+
+const parseLimit = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const num = Number(value);
+  return Number.isInteger(num) && num >= 0 ? num : NaN;
+};
+
+// Build coupon fields from the request body; returns { data } or { error }.
+// For an update pass the stored coupon: only sent fields change, and rules spanning
+// several fields are checked against the coupon as it will be saved.
+function buildCouponData(body, { current = null } = {}) {
+  const partial = Boolean(current);
+  const data = {};
+  const merged = (field) => (field in data ? data[field] : current?.[field]);
+
+  if (!partial || body.code !== undefined) {
+    const code = normalizeCouponCode(body.code);
+    if (!code) return { error: "Coupon code is required" };
+    data.code = code;
+  }
+  if (!partial || body.discountType !== undefined) {
+    if (!["percentage", "fixed"].includes(body.discountType)) {
+      return { error: "Discount type must be percentage or fixed" };
+    }
+    data.discountType = body.discountType;
+  }
+  if (!partial || body.discountValue !== undefined) {
+    const value = Number(body.discountValue);
+    if (Number.isNaN(value) || value <= 0) return { error: "Discount value must be a positive number" };
+    data.discountValue = value;
+  }
+  if (merged("discountType") === "percentage" && merged("discountValue") > 100) {
+    return { error: "Percentage discount cannot exceed 100" };
+  }
+
+  if (body.description !== undefined) data.description = body.description || "";
+  if (body.maxDiscount !== undefined) {
+    data.maxDiscount = body.maxDiscount === null || body.maxDiscount === "" ? null : Number(body.maxDiscount);
+    if (Number.isNaN(data.maxDiscount)) return { error: "Invalid max discount" };
+  }
+  if (body.minOrderValue !== undefined) {
+    data.minOrderValue = Number(body.minOrderValue || 0);
+    if (Number.isNaN(data.minOrderValue) || data.minOrderValue < 0) return { error: "Invalid minimum order value" };
+  }
+  for (const field of ["usageLimit", "perUserLimit"]) {
+    if (body[field] !== undefined) {
+      data[field] = parseLimit(body[field]);
+      if (Number.isNaN(data[field])) return { error: `${field} must be a whole number` };
+    }
+  }
+  if (body.startsAt !== undefined) data.startsAt = parseDate(body.startsAt);
+  if (body.endsAt !== undefined) data.endsAt = parseDate(body.endsAt);
+  if (merged("startsAt") && merged("endsAt") && new Date(merged("startsAt")) > new Date(merged("endsAt"))) {
+    return { error: "Coupon end date must be after its start date" };
+  }
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === "true";
+  if (body.products !== undefined) {
+    const products = Array.isArray(body.products) ? body.products : [];
+    if (products.some((id) => !mongoose.Types.ObjectId.isValid(id))) return { error: "Invalid product in scope" };
+    data.products = products;
+  }
+  if (body.categories !== undefined) {
+    data.categories = (Array.isArray(body.categories) ? body.categories : [])
+      .map((c) => String(c).trim())
+      .filter(Boolean);
+  }
+
+  return { data };
+}
+
+// ===== Customer: validate a code against the cart =====
+router.post("/validate", verifyToken, async (req, res) => {
+  try {
+    const { code, items, city, province, paymentMethod } = req.body;
+    if (!code) return res.status(400).json({ message: "Coupon code is required" });
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: "Cart items are required" });
+    }
+
+    const quote = await quoteOrder({
+      items,
+      couponCode: code,
+      userId: req.user.id,
+      city,
+      province,
+      paymentMethod,
+      requireShipping: false,
+    });
+    if (!quote.success) {
+      return res.status(quote.httpStatus).json({ message: quote.message, errors: quote.errors });
+    }
+
+    res.json({
+      message: "Coupon applied",
+      code: quote.coupon.code,
+      description: quote.coupon.description,
+      pricing: quote.pricing,
+      shipping: quote.shipping,
+    });
+  } catch (err) {
+    console.error("❌ Coupon validate error:", err);
+    res.status(500).json({ message: "Failed to validate coupon" });
+  }
+});
+
+// ===== Admin: list coupons =====
+router.get("/admin/all", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const coupons = await Coupon.find().select("-redemptions").sort({ createdAt: -1 });
+    res.json({ coupons });
+  } catch (err) {
+    console.error("❌ Coupon admin list error:", err);
+    res.status(500).json({ message: "Failed to fetch coupons" });
+  }
+});
+
+// ===== Admin: single coupon with redemptions =====
+router.get("/admin/:id", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate("redemptions.user", "firstName lastName email")
+      .populate("redemptions.order", "orderNumber totalAmount status");
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+    res.json({ coupon });
+  } catch (err) {
+    console.error("❌ Coupon detail error:", err);
+    res.status(500).json({ message: "Failed to fetch coupon" });
+  }
+});
+
+// ===== Admin: create coupon =====
+router.post("/", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { data, error } = buildCouponData(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const coupon = await Coupon.create(data);
+    res.status(201).json({ message: "Coupon created", coupon });
+  } catch (err) {
+    console.error("❌ Coupon create error:", err);
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "A coupon with this code already exists" });
+    }
+    res.status(500).json({ message: "Failed to create coupon" });
+  }
+});
+
+// ===== Admin: update coupon =====
+router.put("/:id", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const current = await Coupon.findById(req.params.id).select("-redemptions");
+    if (!current) return res.status(404).json({ message: "Coupon not found" });
+
+    const { data, error } = buildCouponData(req.body, { current });
+    if (error) return res.status(400).json({ message: error });
+
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, data, { new: true }).select("-redemptions");
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+    res.json({ message: "Coupon updated", coupon });
+  } catch (err) {
+    console.error("❌ Coupon update error:", err);
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "A coupon with this code already exists" });
+    }
+    res.status(500).json({ message: "Failed to update coupon" });
+  }
+});
+
+// ===== Admin: delete coupon =====
+router.delete("/:id", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+    res.json({ message: "Coupon deleted" });
+  } catch (err) {
+    console.error("❌ Coupon delete error:", err);
+    res.status(500).json({ message: "Failed to delete coupon" });
+  }
+});
+
+export default router;
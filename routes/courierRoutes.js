@@ -0,0 +1,55 @@
+import express from "express";
+import { verifyToken, isAdmin } from "../middleware/auth.js";
+import { getCourierAdapter, listCouriers } from "../utils/couriers/index.js";
+import { applyShipmentEvent } from "../utils/shipments.js";
+import { emailStatusChange } from "../utils/orderNotifications.js";
+
+const router = express.Router();
+
+// ===== Available Couriers (Admin Only) =====
+router.get("/", verifyToken, isAdmin, (req, res) => {
+  res.json({ couriers: listCouriers() });
+});
+
+// ===== Courier Status Webhook =====
+router.post("/:courier/webhook", async (req, res) => {
+  try {
+    const adapter = getCourierAdapter(req.params.courier);
+    if (!adapter) {
+      return res.status(404).json({ message: "Unknown courier" });
+    }
+    if (!adapter.verifyWebhook(req)) {
+      return res.status(401).json({ message: "Invalid webhook signature" });
+    }
+
+    const events = adapter.parseWebhook(req.body);
+    const results = [];
+    const changedOrders = [];
+    for (const event of events) {
+      const result = await applyShipmentEvent(adapter.key, event);
+      results.push({
+        consignmentNumber: event.consignmentNumber,
+        status: event.status,
+        success: result.success,
+        ...(result.duplicate ? { duplicate: true } : {}),
+        ...(result.message ? { message: result.message } : {}),
+        ...(result.order ? { orderNumber: result.order.orderNumber, orderStatus: result.order.status } : {}),
+      });
+      if (result.statusChanged) changedOrders.push(result.order);
+    }
+
+    console.log(`🚚 ${adapter.key} webhook: ${results.filter((r) => r.success).length}/${results.length} events applied`);
+    res.json({ received: results.length, results });
+
+    (async () => {
+      for (const order of changedOrders) {
+        await emailStatusChange(order);
+      }
+    })();
+  } catch (err) {
+    console.error("❌ Courier webhook error:", err);
+    res.status(500).json({ message: "Error processing courier webhook" });
+  }
+});
+
+export default router;
@@ -0,0 +1,210 @@
+import express from "express";
+import mongoose from "mongoose";
+import moment from "moment-timezone";
+import DeliverySlot from "../models/DeliverySlot.js";
+import DeliveryBlackout from "../models/DeliveryBlackout.js";
+import DeliverySlotBooking from "../models/DeliverySlotBooking.js";
+import { verifyToken, isAdmin } from "../middleware/auth.js";
+import { STORE_TIMEZONE } from "../config/store.js";
+import { findShippingZone } from "../utils/shipping.js";
+import { getAvailableSlots, parseStoreDate, MAX_SLOT_RANGE_DAYS } from "../utils/deliverySlots.js";
+
+const router = express.Router();
+
+// Validate a from/to pair of YYYY-MM-DD dates; returns { from, to } or { error }
+function parseRange(query, defaultDays) {
+  const from = query.from || moment().tz(STORE_TIMEZONE).format("YYYY-MM-DD");
+  const start = parseStoreDate(from);
+  if (!start.isValid()) return { error: "from must be a YYYY-MM-DD date" };
+
+  const to = query.to || start.clone().add(defaultDays - 1, "days").format("YYYY-MM-DD");
+  const end = parseStoreDate(to);
+  if (!end.isValid()) return { error: "to must be a YYYY-MM-DD date" };
+  if (end.isBefore(start)) return { error: "to must be on or after from" };
+  if (end.diff(start, "days") >= MAX_SLOT_RANGE_DAYS) {
+    return { error: `Date range can be at most ${MAX_SLOT_RANGE_DAYS} days` };
+  }
+  return { from, to };
+}
+
+// Build slot fields from the request body; returns { data } or { error }
+function buildSlotData(body, { partial = false } = {}) {
+  const data = {};
+  for (const field of ["key", "label", "startTime", "endTime"]) {
+    if (!partial || body[field] !== undefined) {
+      if (!body[field]) return { error: `${field} is required` };
+      data[field] = String(body[field]).trim();
+    }
+  }
+  if (!partial || body.capacity !== undefined) {
+    const capacity = Number(body.capacity);
+    if (!Number.isInteger(capacity) || capacity < 0) return { error: "Capacity must be a whole number" };
+    data.capacity = capacity;
+  }
+  if (body.zoneCapacities !== undefined) {
+    const entries = Array.isArray(body.zoneCapacities) ? body.zoneCapacities : [];
+    for (const entry of entries) {
+      if (!mongoose.Types.ObjectId.isValid(entry.zone)) return { error: "Invalid zone in zone capacities" };
+      if (!Number.isInteger(Number(entry.capacity)) || Number(entry.capacity) < 0) {
+        return { error: "Zone capacity must be a whole number" };
+      }
+    }
+    data.zoneCapacities = entries.map((entry) => ({ zone: entry.zone, capacity: Number(entry.capacity) }));
+  }
+  if (body.daysOfWeek !== undefined) {
+    const days = (Array.isArray(body.daysOfWeek) ? body.daysOfWeek : []).map(Number);
+    if (days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) return { error: "daysOfWeek must be 0-6" };
+    data.daysOfWeek = [...new Set(days)];
+  }
+  if (body.sameDayCutoff !== undefined) data.sameDayCutoff = body.sameDayCutoff || null;
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === "true";
+  if (body.sortOrder !== undefined) data.sortOrder = Number(body.sortOrder) || 0;
+  return { data };
+}
+
+// ===== Public: available slots for a date range =====
+router.get("/available", async (req, res) => {
+  try {
+    const { from, to, error } = parseRange(req.query, 7);
+    if (error) return res.status(400).json({ message: error });
+
+    const { city, province } = req.query;
+    const zone = city || province ? await findShippingZone({ city, province }) : null;
+    if ((city || province) && !zone) {
+      return res.status(400).json({ message: `Sorry, we don't deliver to ${city || province} yet` });
+    }
+
+    const days = await getAvailableSlots({ from, to, zoneId: zone?._id });
+    res.json({ timezone: STORE_TIMEZONE, from, to, zone: zone ? zone.name : null, days });
+  } catch (err) {
+    console.error("❌ Available slots error:", err);
+    res.status(500).json({ message: "Failed to load delivery slots" });
+  }
+});
+
+// ===== Admin: list slots =====
+router.get("/admin/slots", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const slots = await DeliverySlot.find()
+      .sort({ sortOrder: 1, startTime: 1 })
+      .populate("zoneCapacities.zone", "name");
+    res.json({ slots });
+  } catch (err) {
+    console.error("❌ Slot list error:", err);
+    res.status(500).json({ message: "Failed to fetch delivery slots" });
+  }
+});
+
+// ===== Admin: create slot =====
+router.post("/admin/slots", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { data, error } = buildSlotData(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const slot = await DeliverySlot.create(data);
+    res.status(201).json({ message: "Delivery slot created", slot });
+  } catch (err) {
+    console.error("❌ Slot create error:", err);
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "A slot with this key already exists" });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: "Failed to create delivery slot" });
+  }
+});
+
+// ===== Admin: update slot =====
+router.put("/admin/slots/:id", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { data, error } = buildSlotData(req.body, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+    // Existing bookings are stored under the key, so it can't be renamed
+    delete data.key;
+
+    const slot = await DeliverySlot.findByIdAndUpdate(req.params.id, data, { new: true, runValidators: true });
+    if (!slot) return res.status(404).json({ message: "Delivery slot not found" });
+    res.json({ message: "Delivery slot updated", slot });
+  } catch (err) {
+    console.error("❌ Slot update error:", err);
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: "Failed to update delivery slot" });
+  }
+});
+
+// ===== Admin: delete slot =====
+router.delete("/admin/slots/:id", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findByIdAndDelete(req.params.id);
+    if (!slot) return res.status(404).json({ message: "Delivery slot not found" });
+    res.json({ message: "Delivery slot deleted" });
+  } catch (err) {
+    console.error("❌ Slot delete error:", err);
+    res.status(500).json({ message: "Failed to delete delivery slot" });
+  }
+});
+
+// ===== Admin: list blackout dates =====
+router.get("/admin/blackouts", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.from) filter.date = { $gte: req.query.from };
+    const blackouts = await DeliveryBlackout.find(filter).sort({ date: 1 }).populate("zone", "name");
+    res.json({ blackouts });
+  } catch (err) {
+    console.error("❌ Blackout list error:", err);
+    res.status(500).json({ message: "Failed to fetch blackout dates" });
+  }
+});
+
+// ===== Admin: add blackout date =====
+router.post("/admin/blackouts", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { date, zone, reason } = req.body;
+    if (!date || !parseStoreDate(date).isValid()) {
+      return res.status(400).json({ message: "date must be a YYYY-MM-DD date" });
+    }
+    if (zone && !mongoose.Types.ObjectId.isValid(zone)) {
+      return res.status(400).json({ message: "Invalid zone" });
+    }
+
+    const blackout = await DeliveryBlackout.create({ date, zone: zone || null, reason: reason || "" });
+    res.status(201).json({ message: "Blackout date added", blackout });
+  } catch (err) {
+    console.error("❌ Blackout create error:", err);
+    res.status(500).json({ message: "Failed to add blackout date" });
+  }
+});
+
+// ===== Admin: remove blackout date =====
+router.delete("/admin/blackouts/:id", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const blackout = await DeliveryBlackout.findByIdAndDelete(req.params.id);
+    if (!blackout) return res.status(404).json({ message: "Blackout date not found" });
+    res.json({ message: "Blackout date removed" });
+  } catch (err) {
+    console.error("❌ Blackout delete error:", err);
+    res.status(500).json({ message: "Failed to remove blackout date" });
+  }
+});
+
+// ===== Admin: bookings per slot for a date range =====
+router.get("/admin/bookings", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { from, to, error } = parseRange(req.query, 7);
+    if (error) return res.status(400).json({ message: error });
+
+    const bookings = await DeliverySlotBooking.find({ date: { $gte: from, $lte: to } })
+      .sort({ date: 1, slot: 1 })
+      .populate("zone", "name");
+    res.json({ from, to, bookings });
+  } catch (err) {
+    console.error("❌ Booking list error:", err);
+    res.status(500).json({ message: "Failed to fetch slot bookings" });
+  }
+});
+
+export default router;
@@ -1,16 +1,156 @@
 import express from "express";
 import mongoose from "mongoose";
+import multer from "multer";
 import Order from "../models/Order.js";
-import Product from "../models/Product.js";
+import ReturnRequest from "../models/ReturnRequest.js";
 import { verifyToken, isAdmin } from "../middleware/auth.js";
-import { sendOrderNotificationEmail, sendOrderConfirmationEmail } from "../utils/emailService.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { findPriceMismatches, roundMoney } from "../utils/pricing.js";
+import { quoteOrder } from "../utils/checkout.js";
+import { redeemCoupon, releaseCoupon } from "../utils/coupons.js";
+import { normalizeGift, GIFT_WRAP_OPTIONS } from "../utils/giftOptions.js";
+import { claimDeliverySlot, releaseDeliverySlot } from "../utils/deliverySlots.js";
+import { buildPackingSlip } from "../utils/packingSlip.js";
+import { buildInvoicePdf, buildPackingSlipPdf } from "../utils/orderPdf.js";
+import { buildOrderFilter, buildOrderSort } from "../utils/orderFilters.js";
+import { parseCsv } from "../utils/csv.js";
+import { emailStatusChange, notifyCustomerOfStatusChange } from "../utils/orderNotifications.js";
+import { bookOrderShipment } from "../utils/shipments.js";
+import { buildSalesAnalytics, parseAnalyticsRange } from "../utils/analytics.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_ROW_MODES,
+  EXPORT_PROJECTION,
+  streamOrderExport,
+} from "../utils/orderExport.js";
+import {
+  createTrackingToken,
+  verifyTrackingToken,
+  toTrackingView,
+  phonesMatch,
+  emailsMatch,
+} from "../utils/orderTracking.js";
+import {
+  CUSTOMER_EDITABLE_STATUSES,
+  buildDeliveryDetailsUpdate,
+  getCustomerChangeRefusal,
+} from "../utils/orderChanges.js";
+import { reserveStock, releaseStock, alertReservedStock } from "../utils/inventory.js";
+import {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  buildHistoryEntry,
+  changeOrderStatus,
+  toCustomerOrder,
+} from "../utils/orderStatus.js";
+import {
+  COD_COLLECTORS,
+  PAYMENT_METHODS,
+  changePaymentStatus,
+  getBalanceDue,
+  initialPaymentStatus,
+  isCashOnDelivery,
+} from "../utils/payment.js";
+import {
+  sendOrderNotificationEmail,
+  sendOrderConfirmationEmail,
+  sendOrderChangeNotificationEmail,
+} from "../utils/emailService.js";
 
 const router = express.Router();
 
+// ===== Multer Config (bulk CSV uploads, kept in memory) =====
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ok = file.mimetype === "text/csv" || file.originalname.toLowerCase().endsWith(".csv");
+    cb(ok ? null : new Error("Only CSV files allowed"), ok);
+  },
+});
+
+const BULK_ACTIONS = ["status", "shipment", "note"];
+const BULK_ORDER_LIMIT = 500;
+
+// Arrays and objects arrive as JSON strings in multipart forms
+function parseJsonField(value) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+// Set courier and tracking details without changing the order status
+async function assignShipment(order, { courier, trackingNumber, trackingUrl }) {
+  if (["delivered", "cancelled"].includes(order.status)) {
+    return { success: false, message: `Order is ${order.status}` };
+  }
+  if (!courier && !trackingNumber && !trackingUrl) {
+    return { success: false, message: "No courier or tracking details for this order" };
+  }
+
+  const update = {};
+  if (courier) update["shipment.courier"] = courier;
+  if (trackingNumber) update["shipment.trackingNumber"] = trackingNumber;
+  if (trackingUrl) update["shipment.trackingUrl"] = trackingUrl;
+
+  const updated = await Order.findByIdAndUpdate(order._id, { $set: update }, { new: true });
+  return updated ? { success: true, order: updated } : { success: false, message: "Order not found" };
+}
+
+// Add a dated line to the admin notes. Appended in the update itself, so notes
+// added at the same time (or by another admin) are never overwritten.
+async function appendAdminNote(order, note) {
+  const line = { $literal: `[${new Date().toISOString().slice(0, 10)}] ${String(note).trim()}` };
+  const updated = await Order.findByIdAndUpdate(
+    order._id,
+    [
+      {
+        $set: {
+          notes: {
+            $cond: [
+              { $gt: [{ $strLenCP: { $ifNull: ["$notes", ""] } }, 0] },
+              { $concat: ["$notes", "\n", line] },
+              line,
+            ],
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+  return updated ? { success: true, order: updated } : { success: false, message: "Order not found" };
+}
+
+/**
+ * Apply an admin status change with its optional shipment details, notes and cancellation reason.
+ * Shared by the single-order and bulk endpoints so both follow the same rules.
+ * @returns {Promise<Object>} - { success, order } or { success: false, httpStatus, message }
+ */
+const applyAdminStatusChange = (order, { status, notes, note, courier, trackingNumber, trackingUrl, reason }, actor) => {
+  const update = {};
+  if (notes) update.notes = notes;
+  if (status === "dispatched") {
+    if (courier) update["shipment.courier"] = courier;
+    if (trackingNumber) update["shipment.trackingNumber"] = trackingNumber;
+    if (trackingUrl) update["shipment.trackingUrl"] = trackingUrl;
+  }
+  if (status === "cancelled" && reason) update.cancellationReason = reason;
+
+  return changeOrderStatus(order, status, {
+    actor,
+    note: note || (status === "cancelled" ? reason : undefined),
+    update,
+  });
+};
+
 // ===== Create New Order (Customer) =====
-router.post("/create", verifyToken, async (req, res) => {
+// Send an Idempotency-Key header to make retries (double taps, flaky networks) safe
+router.post("/create", verifyToken, idempotent("orders:create"), async (req, res) => {
   try {
-    const { customerInfo, items, paymentInfo, totalAmount } = req.body;
+    const { customerInfo, items, paymentInfo, totalAmount, couponCode, gift: giftInput } = req.body;
 
     console.log("📥 Received order data:", JSON.stringify({ customerInfo, itemsCount: items?.length, paymentInfo, totalAmount }, null, 2));
 
@@ -31,49 +171,63 @@ router.post("/create", verifyToken, async (req, res) => {
     }
 
     // Validate customerInfo structure
-    if (!customerInfo.name || !customerInfo.phone || !customerInfo.address) {
-      return res.status(400).json({ message: "Customer info is incomplete (name, phone, address required)" });
+    if (!customerInfo.name || !customerInfo.phone || !customerInfo.address || !customerInfo.city) {
+      return res.status(400).json({ message: "Customer info is incomplete (name, phone, address, city required)" });
     }
 
     // Validate paymentInfo structure
     if (!paymentInfo.method) {
       return res.status(400).json({ message: "Payment method is required" });
     }
+    const paymentMethod = String(paymentInfo.method).toLowerCase();
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({ message: `Payment method must be one of: ${PAYMENT_METHODS.join(", ")}` });
+    }
+    // Only cash on delivery can be placed without proof of payment
+    if (!isCashOnDelivery(paymentMethod) && !paymentInfo.screenshotUrl) {
+      return res.status(400).json({ message: "Payment screenshot is required for Easypaisa and bank transfer orders" });
+    }
 
-    // Clean up items - ensure productId is valid ObjectId or null
-    // Also fetch category from Product for admin insights
-    const cleanedItems = await Promise.all(
-      items.map(async (item) => {
-        let category = item.category || "";
-        
-        // If productId is valid, fetch category from Product
-        if (item.productId && mongoose.Types.ObjectId.isValid(item.productId)) {
-          try {
-            const product = await Product.findById(item.productId).select("category");
-            if (product && product.category) {
-              category = product.category;
-            }
-          } catch (err) {
-            console.warn("⚠️ Failed to fetch product category:", err.message);
-          }
-        }
-        
-        return {
-          productId: item.productId && mongoose.Types.ObjectId.isValid(item.productId) 
-            ? item.productId 
-            : null, // Allow null if productId is invalid
-          name: item.name,
-          quantity: Number(item.quantity),
-          price: Number(item.price),
-          imageUrl: item.imageUrl || "",
-          category,
-        };
-      })
-    );
+    const { gift, error: giftError } = normalizeGift(giftInput);
+    if (giftError) {
+      return res.status(400).json({ message: giftError });
+    }
 
     const decodedUser = req.user;
     const userId = decodedUser?.id;
 
+    // Gifts sent to another address are charged by the recipient's city
+    const deliversToRecipient = Boolean(gift?.recipient.address);
+
+    // Price every line from the catalogue and apply the coupon - never trust client prices
+    const quote = await quoteOrder({
+      items,
+      couponCode,
+      userId,
+      city: deliversToRecipient ? gift.recipient.city : customerInfo.city,
+      province: deliversToRecipient ? "" : customerInfo.province,
+      giftWrap: gift?.wrap.option,
+      paymentMethod,
+    });
+    if (!quote.success) {
+      return res.status(quote.httpStatus).json({ message: quote.message, errors: quote.errors });
+    }
+
+    const cleanedItems = quote.items.map(({ clientPrice, ...item }) => item);
+    const serverTotal = quote.pricing.total;
+    const mismatches = findPriceMismatches(quote.items, totalAmount, serverTotal);
+    if (mismatches.length > 0) {
+      console.warn("⚠️ Order price mismatch:", JSON.stringify(mismatches));
+      return res.status(409).json({
+        message: "Prices in your cart have changed. Please review your cart and try again.",
+        mismatches,
+        items: cleanedItems,
+        pricing: quote.pricing,
+        shipping: quote.shipping,
+        totalAmount: serverTotal,
+      });
+    }
+
     // Determine customer email - use form email, fallback to token email
     const customerEmail = customerInfo.email?.trim() || decodedUser?.email?.trim() || null;
     
@@ -90,14 +244,81 @@ router.post("/create", verifyToken, async (req, res) => {
       },
       ...(userId ? { user: userId } : {}),
       items: cleanedItems,
-      paymentInfo,
-      totalAmount: Number(totalAmount),
+      paymentInfo: {
+        method: paymentMethod,
+        ...(isCashOnDelivery(paymentMethod) ? {} : { screenshotUrl: paymentInfo.screenshotUrl }),
+      },
+      paymentStatus: initialPaymentStatus({ method: paymentMethod, screenshotUrl: paymentInfo.screenshotUrl }),
+      totalAmount: serverTotal,
+      pricing: {
+        ...quote.pricing,
+        clientTotal: Number(totalAmount),
+      },
+      ...(gift ? { gift } : {}),
+      shipping: {
+        zone: quote.shipping.zone,
+        zoneName: quote.shipping.zoneName,
+        fee: quote.shipping.fee,
+        estimatedDelivery: quote.shipping.estimatedDelivery,
+      },
+      ...(quote.coupon
+        ? { coupon: { couponId: quote.coupon._id, code: quote.coupon.code, discount: quote.pricing.couponDiscount } }
+        : {}),
       status: "pending",
+      statusHistory: [buildHistoryEntry("pending", null, decodedUser, "Order placed")],
     });
 
+    // Undo steps for everything claimed below, run if a later step fails
+    const rollback = [];
+    const undoClaims = () => Promise.all(rollback.map((undo) => undo()));
+
+    // Hold stock before saving so concurrent checkouts cannot oversell
+    const reservation = await reserveStock(cleanedItems, { orderId: order._id, actor: decodedUser });
+    if (!reservation.success) {
+      return res.status(409).json({
+        message: "Some items in your cart don't have enough stock",
+        errors: reservation.errors,
+      });
+    }
+    order.stockReserved = true;
+    rollback.push(() =>
+      releaseStock(cleanedItems, { orderId: order._id, actor: decodedUser, reason: "Checkout failed" })
+    );
+
+    if (quote.coupon) {
+      const redeemed = await redeemCoupon(quote.coupon, {
+        userId,
+        orderId: order._id,
+        discount: quote.pricing.couponDiscount,
+      });
+      if (!redeemed) {
+        await undoClaims();
+        return res.status(409).json({ message: "This coupon has just reached its usage limit" });
+      }
+      rollback.push(() => releaseCoupon(quote.coupon._id, order._id));
+    }
+
+    if (gift?.delivery.date && gift.delivery.timeSlot) {
+      const slotRequest = { date: gift.delivery.date, slotKey: gift.delivery.timeSlot, zoneId: quote.shipping.zone };
+      const claim = await claimDeliverySlot(slotRequest);
+      if (!claim.success) {
+        await undoClaims();
+        return res.status(claim.httpStatus).json({ message: claim.message });
+      }
+      order.gift.delivery.timeSlotLabel = claim.slot.label;
+      order.deliverySlotClaimed = true;
+      rollback.push(() => releaseDeliverySlot(slotRequest));
+    }
+
     console.log("💾 Attempting to save order...");
-    await order.save();
+    try {
+      await order.save();
+    } catch (saveErr) {
+      await undoClaims();
+      throw saveErr;
+    }
     console.log("✅ Order saved successfully:", order.orderNumber);
+    alertReservedStock(reservation);
 
     // Prepare order data for emails
     const orderDataForEmail = {
@@ -106,6 +327,11 @@ router.post("/create", verifyToken, async (req, res) => {
       items: order.items,
       totalAmount: order.totalAmount,
       paymentInfo: order.paymentInfo,
+      coupon: order.coupon,
+      shipping: order.shipping,
+      pricing: order.pricing,
+      gift: order.gift,
+      trackingToken: createTrackingToken(order),
       createdAt: order.createdAt,
     };
 
@@ -116,6 +342,7 @@ router.post("/create", verifyToken, async (req, res) => {
         orderNumber: order.orderNumber,
         _id: order._id,
         status: order.status,
+        paymentStatus: order.paymentStatus,
         totalAmount: order.totalAmount,
         createdAt: order.createdAt,
       },
@@ -151,7 +378,14 @@ router.post("/create", verifyToken, async (req, res) => {
             storedEmail: order.customerInfo.email,
           });
         } else {
-          const customerEmailResult = await sendOrderConfirmationEmail(orderDataForEmail);
+          // The invoice is a nice-to-have; send the email without it if the PDF fails
+          let invoicePdf = null;
+          try {
+            invoicePdf = await buildInvoicePdf(order);
+          } catch (pdfError) {
+            console.error("⚠️ Invoice PDF generation failed, sending email without it:", pdfError.message);
+          }
+          const customerEmailResult = await sendOrderConfirmationEmail({ ...orderDataForEmail, invoicePdf });
           if (customerEmailResult.success) {
             console.log("📧 Customer confirmation email sent successfully to:", order.customerInfo.email);
           } else {
@@ -174,7 +408,7 @@ router.post("/create", verifyToken, async (req, res) => {
     });
     
     if (err.code === 11000) {
-      // Duplicate order number (rare case)
+      // Duplicate order number: the counter is behind existing orders (run npm run migrate:order-counter)
       return res.status(500).json({ message: "Order number conflict. Please try again." });
     }
     
@@ -187,6 +421,13 @@ router.post("/create", verifyToken, async (req, res) => {
   }
 });
 
+// ===== Gift Options (Public) =====
+router.get("/gift-options", (req, res) => {
+  res.json({
+    wrapOptions: Object.entries(GIFT_WRAP_OPTIONS).map(([value, option]) => ({ value, ...option })),
+  });
+});
+
 // ===== Get Logged-in User Orders =====
 router.get("/user/history", verifyToken, async (req, res) => {
   try {
@@ -194,15 +435,60 @@ router.get("/user/history", verifyToken, async (req, res) => {
       .sort({ createdAt: -1 })
       .populate("items.productId", "name imageUrl");
 
-    res.json({ orders });
+    res.json({ orders: orders.map(toCustomerOrder) });
   } catch (err) {
     console.error("❌ Get user orders error:", err);
     res.status(500).json({ message: "Error fetching user orders" });
   }
 });
 
-// ===== Get Order by ID or Order Number (Customer/Admin) =====
-router.get("/:identifier", async (req, res) => {
+// ===== Track Order by Number + Phone/Email (Public) =====
+router.post("/track", async (req, res) => {
+  try {
+    const { orderNumber, phone, email } = req.body;
+    if (!orderNumber || (!phone && !email)) {
+      return res.status(400).json({ message: "Order number and the phone number or email used at checkout are required" });
+    }
+
+    const order = await Order.findOne({ orderNumber: String(orderNumber).trim().toUpperCase() });
+    const verified =
+      order &&
+      (phonesMatch(phone, order.customerInfo.phone) || emailsMatch(email, order.customerInfo.email));
+
+    // Same answer for a wrong number and a wrong contact, so order numbers can't be probed
+    if (!verified) {
+      return res.status(404).json({ message: "No order found with these details" });
+    }
+
+    res.json({ order: toTrackingView(order) });
+  } catch (err) {
+    console.error("❌ Track order error:", err);
+    res.status(500).json({ message: "Error tracking order" });
+  }
+});
+
+// ===== Track Order by Emailed Link Token (Public) =====
+router.get("/track/:token", async (req, res) => {
+  try {
+    const decoded = verifyTrackingToken(req.params.token);
+    if (!decoded) {
+      return res.status(401).json({ message: "This tracking link is invalid or has expired" });
+    }
+
+    const order = await Order.findById(decoded.orderId);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    res.json({ order: toTrackingView(order) });
+  } catch (err) {
+    console.error("❌ Track order link error:", err);
+    res.status(500).json({ message: "Error tracking order" });
+  }
+});
+
+// ===== Get Order by ID or Order Number (Owner/Admin) =====
+router.get("/:identifier", verifyToken, async (req, res) => {
   try {
     const { identifier } = req.params;
 
@@ -210,34 +496,63 @@ router.get("/:identifier", async (req, res) => {
     const order = await Order.findOne({
       $or: [
         { orderNumber: identifier },
-        { _id: identifier },
+        ...(mongoose.Types.ObjectId.isValid(identifier) ? [{ _id: identifier }] : []),
       ],
     }).populate("items.productId", "name imageUrl");
 
-    if (!order) {
+    const isAdminUser = req.user.role === "admin";
+    const isOwner = order?.user && order.user.toString() === req.user.id;
+
+    // Someone else's order looks exactly like a missing one
+    if (!order || (!isAdminUser && !isOwner)) {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    res.json({ order });
+    res.json({ order: isAdminUser ? order : toCustomerOrder(order) });
   } catch (err) {
     console.error("❌ Get order error:", err);
     res.status(500).json({ message: "Error fetching order" });
   }
 });
 
+// ===== Invoice PDF (Owner or Admin) =====
+router.get("/:id/invoice.pdf", verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const order = await Order.findOne({
+      $or: [{ orderNumber: id }, ...(mongoose.Types.ObjectId.isValid(id) ? [{ _id: id }] : [])],
+    });
+
+    const isOwner = order?.user && order.user.toString() === req.user.id;
+    if (!order || (req.user.role !== "admin" && !isOwner)) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const pdf = await buildInvoicePdf(order);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="invoice-${order.orderNumber}.pdf"`,
+    });
+    res.send(pdf);
+  } catch (err) {
+    console.error("❌ Invoice PDF error:", err);
+    res.status(500).json({ message: "Error generating invoice" });
+  }
+});
+
 // ===== Get All Orders (Admin Only) =====
 router.get("/admin/all", verifyToken, isAdmin, async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
-    const filter = {};
-
-    if (status && status !== "all") {
-      filter.status = status;
+    const { page = 1, limit = 20 } = req.query;
+    const { filter, error: filterError } = buildOrderFilter(req.query);
+    const { sort, error: sortError } = buildOrderSort(req.query.sort);
+    if (filterError || sortError) {
+      return res.status(400).json({ message: filterError || sortError });
     }
 
     const total = await Order.countDocuments(filter);
     const orders = await Order.find(filter)
-      .sort({ createdAt: -1 })
+      .sort(sort)
       .skip((page - 1) * limit)
       .limit(Number(limit))
       .populate("items.productId", "name imageUrl");
@@ -254,60 +569,786 @@ router.get("/admin/all", verifyToken, isAdmin, async (req, res) => {
   }
 });
 
+// ===== Export Orders as CSV / XLSX (Admin Only) =====
+// Same filters as /admin/all; rows=order (default) or rows=item for one row per line item
+router.get("/admin/export", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { format = "csv", rows = "order" } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+    }
+    if (!EXPORT_ROW_MODES.includes(rows)) {
+      return res.status(400).json({ message: `rows must be one of: ${EXPORT_ROW_MODES.join(", ")}` });
+    }
+
+    const { filter, error: filterError } = buildOrderFilter(req.query);
+    const { sort, error: sortError } = buildOrderSort(req.query.sort);
+    if (filterError || sortError) {
+      return res.status(400).json({ message: filterError || sortError });
+    }
+
+    const filename = `orders-${rows === "item" ? "items-" : ""}${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set({
+      "Content-Type": format === "xlsx"
+        ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        : "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+
+    // Lean cursor: one order in memory at a time, however large the export
+    const cursor = Order.find(filter).select(EXPORT_PROJECTION).sort(sort).lean().cursor({ batchSize: 500 });
+    const rowCount = await streamOrderExport(cursor, res, { format, rowMode: rows });
+    console.log(`📤 Exported ${rowCount} ${rows} rows as ${format}`);
+  } catch (err) {
+    console.error("❌ Export orders error:", err);
+    // Once streaming has started the status line is gone; just cut the download short
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ message: "Error exporting orders" });
+  }
+});
+
+// ===== Packing Slip Data (Admin Only) =====
+router.get("/admin/:id/packing-slip", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    res.json({ packingSlip: buildPackingSlip(order) });
+  } catch (err) {
+    console.error("❌ Packing slip error:", err);
+    res.status(500).json({ message: "Error building packing slip" });
+  }
+});
+
+// ===== Packing Slip PDF (Admin Only) =====
+router.get("/admin/:id/packing-slip.pdf", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const pdf = await buildPackingSlipPdf(order);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="packing-slip-${order.orderNumber}.pdf"`,
+    });
+    res.send(pdf);
+  } catch (err) {
+    console.error("❌ Packing slip PDF error:", err);
+    res.status(500).json({ message: "Error generating packing slip" });
+  }
+});
+
 // ===== Update Order Status (Admin Only) =====
 router.put("/admin/update-status/:id", verifyToken, isAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, notes } = req.body;
+    const { status, notes, note, courier, trackingNumber, trackingUrl, reason } = req.body;
 
     if (!status) {
       return res.status(400).json({ message: "Status is required" });
     }
 
-    const validStatuses = ["pending", "confirmed", "processing", "dispatched", "delivered", "cancelled"];
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ message: "Invalid status" });
     }
 
-    const updateData = { status };
-    if (notes) updateData.notes = notes;
+    const existing = await Order.findById(id);
+    if (!existing) {
+      return res.status(404).json({ message: "Order not found" });
+    }
 
-    const order = await Order.findByIdAndUpdate(id, updateData, { new: true }).populate(
-      "items.productId",
-      "name imageUrl"
+    const result = await applyAdminStatusChange(
+      existing,
+      { status, notes, note, courier, trackingNumber, trackingUrl, reason },
+      req.user
     );
 
-    if (!order) {
-      return res.status(404).json({ message: "Order not found" });
+    if (!result.success) {
+      return res.status(result.httpStatus).json({
+        message: result.message,
+        currentStatus: existing.status,
+        allowedStatuses: ORDER_STATUS_TRANSITIONS[existing.status] || [],
+      });
     }
 
+    const order = await result.order.populate("items.productId", "name imageUrl");
+
     res.json({
       message: "Order status updated successfully",
       order,
     });
+
+    // Let the customer know - fire and forget so the admin isn't kept waiting
+    notifyCustomerOfStatusChange(order);
   } catch (err) {
     console.error("❌ Update order status error:", err);
     res.status(500).json({ message: "Error updating order status" });
   }
 });
 
+// ===== Book Courier Shipment (Admin Only) =====
+router.post("/admin/:id/shipment/book", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { courier } = req.body;
+    if (!courier) {
+      return res.status(400).json({ message: "Courier is required" });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const result = await bookOrderShipment(order, courier);
+    if (!result.success) {
+      return res.status(result.httpStatus).json({ message: result.message });
+    }
+
+    res.json({ message: "Shipment booked", shipment: result.order.shipment, order: result.order });
+  } catch (err) {
+    console.error("❌ Book shipment error:", err);
+    res.status(500).json({ message: "Error booking shipment" });
+  }
+});
+
+// ===== Bulk Order Operations (Admin Only) =====
+// Target orders with orderIds, a filter (same fields as /admin/all) or an uploaded CSV
+// with orderNumber/orderId, courier, trackingNumber and trackingUrl columns.
+router.post("/admin/bulk", verifyToken, isAdmin, csvUpload.single("file"), async (req, res) => {
+  try {
+    const { action, status, notes, note, reason } = req.body;
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `action must be one of: ${BULK_ACTIONS.join(", ")}` });
+    }
+    if (action === "status" && !ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: "A valid status is required" });
+    }
+    if (action === "note" && !String(note || "").trim()) {
+      return res.status(400).json({ message: "Note is required" });
+    }
+
+    // Per-order shipment details from the CSV, keyed by order number or id
+    const csvRows = req.file ? parseCsv(req.file.buffer.toString("utf8")) : [];
+    if (req.file && csvRows.length === 0) {
+      return res.status(400).json({ message: "The uploaded CSV has no rows" });
+    }
+    const rowFor = (order) =>
+      csvRows.find((row) => row.ordernumber === order.orderNumber || row.orderid === order._id.toString());
+
+    let filter;
+    const orderIds = parseJsonField(req.body.orderIds);
+    const filterQuery = parseJsonField(req.body.filter);
+    if (Array.isArray(orderIds) && orderIds.length > 0) {
+      const invalid = orderIds.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+      if (invalid.length > 0) {
+        return res.status(400).json({ message: `Invalid order IDs: ${invalid.join(", ")}` });
+      }
+      filter = { _id: { $in: orderIds } };
+    } else if (filterQuery && typeof filterQuery === "object") {
+      const built = buildOrderFilter(filterQuery);
+      if (built.error) return res.status(400).json({ message: built.error });
+      if (Object.keys(built.filter).length === 0) {
+        return res.status(400).json({ message: "Filter must narrow the orders down" });
+      }
+      filter = built.filter;
+    } else if (csvRows.length > 0) {
+      filter = {
+        $or: [
+          { orderNumber: { $in: csvRows.map((row) => row.ordernumber).filter(Boolean) } },
+          { _id: { $in: csvRows.map((row) => row.orderid).filter((id) => mongoose.Types.ObjectId.isValid(id)) } },
+        ],
+      };
+    } else {
+      return res.status(400).json({ message: "Provide orderIds, a filter or a CSV file" });
+    }
+
+    const total = await Order.countDocuments(filter);
+    if (total > BULK_ORDER_LIMIT) {
+      return res.status(400).json({
+        message: `${total} orders match. Bulk operations are limited to ${BULK_ORDER_LIMIT} orders at a time.`,
+      });
+    }
+    const orders = await Order.find(filter).sort({ createdAt: 1 });
+
+    const results = [];
+    const changedOrders = [];
+    for (const order of orders) {
+      const row = rowFor(order) || {};
+      const shipment = {
+        courier: row.courier || req.body.courier,
+        trackingNumber: row.trackingnumber || req.body.trackingNumber,
+        trackingUrl: row.trackingurl || req.body.trackingUrl,
+      };
+
+      try {
+        let result;
+        if (action === "status") {
+          result = await applyAdminStatusChange(order, { status, notes, note, reason, ...shipment }, req.user);
+        } else if (action === "shipment") {
+          result = await assignShipment(order, shipment);
+        } else {
+          result = await appendAdminNote(order, note);
+        }
+
+        if (result.success) {
+          results.push({ orderId: order._id, orderNumber: order.orderNumber, success: true, status: result.order.status });
+          if (action === "status") changedOrders.push(result.order);
+        } else {
+          results.push({ orderId: order._id, orderNumber: order.orderNumber, success: false, message: result.message });
+        }
+      } catch (orderErr) {
+        console.error(`❌ Bulk ${action} failed for ${order.orderNumber}:`, orderErr);
+        results.push({ orderId: order._id, orderNumber: order.orderNumber, success: false, message: "Unexpected error" });
+      }
+    }
+
+    // Requested orders that don't exist still get a line in the report
+    const found = new Set(orders.flatMap((order) => [order._id.toString(), order.orderNumber]));
+    const requested = Array.isArray(orderIds) && orderIds.length > 0
+      ? orderIds.map((id) => ({ key: String(id) }))
+      : csvRows.map((row) => ({ key: row.ordernumber || row.orderid, line: row.line }));
+    requested
+      .filter(({ key }) => !found.has(key))
+      .forEach(({ key, line }) =>
+        results.push({
+          orderId: key || null,
+          success: false,
+          message: line ? `Order not found (CSV line ${line})` : "Order not found",
+        })
+      );
+
+    const succeeded = results.filter((result) => result.success).length;
+    console.log(`📦 Bulk ${action}: ${succeeded}/${results.length} orders updated`);
+
+    res.json({
+      message: `${succeeded} of ${results.length} orders updated`,
+      summary: { total: results.length, succeeded, failed: results.length - succeeded },
+      results,
+    });
+
+    // One email at a time in the background so a large batch doesn't flood the mail provider
+    (async () => {
+      for (const order of changedOrders) {
+        await emailStatusChange(order);
+      }
+    })();
+  } catch (err) {
+    console.error("❌ Bulk order operation error:", err);
+    res.status(500).json({ message: "Error running bulk operation" });
+  }
+});
+
+// Tell the admin about a customer's own cancellation or edit; failures are only logged
+const notifyAdminOfCustomerChange = (order, change) => {
+  (async () => {
+    try {
+      const result = await sendOrderChangeNotificationEmail({
+        orderNumber: order.orderNumber,
+        customerInfo: order.customerInfo,
+        ...change,
+      });
+      if (!result.success) {
+        console.warn(`⚠️ Change notification not sent for ${order.orderNumber}:`, result.error);
+      }
+    } catch (emailError) {
+      console.error("⚠️ Change notification email error:", emailError);
+    }
+  })();
+};
+
+// ===== Cancel Own Order (Customer) =====
+router.put("/:id/cancel", verifyToken, async (req, res) => {
+  try {
+    const reason = String(req.body.reason || "").trim();
+
+    const order = await Order.findOne({ _id: req.params.id, user: req.user.id });
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const refusal = getCustomerChangeRefusal(order);
+    if (refusal) {
+      return res.status(403).json({ message: refusal });
+    }
+
+    const result = await changeOrderStatus(order, "cancelled", {
+      actor: req.user,
+      note: reason ? `Cancelled by customer: ${reason}` : "Cancelled by customer",
+      update: { cancellationReason: reason || "Cancelled by customer" },
+    });
+
+    if (!result.success) {
+      return res.status(result.httpStatus).json({ message: result.message });
+    }
+
+    res.json({
+      message: "Your order has been cancelled",
+      order: toCustomerOrder(result.order),
+    });
+
+    notifyAdminOfCustomerChange(result.order, { action: "cancelled", reason });
+  } catch (err) {
+    console.error("❌ Customer cancel order error:", err);
+    res.status(500).json({ message: "Error cancelling order" });
+  }
+});
+
+// ===== Update Own Delivery Details / Gift Message (Customer) =====
+router.patch("/:id/delivery-details", verifyToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, user: req.user.id });
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const refusal = getCustomerChangeRefusal(order);
+    if (refusal) {
+      return res.status(403).json({ message: refusal });
+    }
+
+    const { update, changes, error } = buildDeliveryDetailsUpdate(order, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (changes.length === 0) {
+      return res.json({ message: "Nothing to update", order: toCustomerOrder(order) });
+    }
+
+    // Only apply while the order is still in an editable status
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: { $in: CUSTOMER_EDITABLE_STATUSES } },
+      {
+        $set: update,
+        $push: {
+          editHistory: { changedAt: new Date(), changedBy: req.user.id, changedByRole: req.user.role, changes },
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ message: "Your order was just updated by our team. Please refresh and try again." });
+    }
+
+    res.json({
+      message: "Delivery details updated",
+      order: toCustomerOrder(updated),
+    });
+
+    notifyAdminOfCustomerChange(updated, { action: "updated", changes });
+  } catch (err) {
+    console.error("❌ Customer update order error:", err);
+    res.status(500).json({ message: "Error updating order" });
+  }
+});
+
+// ===== Submit Payment Proof (Customer) =====
+router.put("/:id/payment-proof", verifyToken, async (req, res) => {
+  try {
+    const { screenshotUrl } = req.body;
+    if (!screenshotUrl) {
+      return res.status(400).json({ message: "Payment screenshot is required" });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, user: req.user.id });
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (isCashOnDelivery(order.paymentInfo?.method)) {
+      return res.status(400).json({ message: "Cash on delivery orders are paid when they arrive" });
+    }
+
+    const result = await changePaymentStatus(order, "under_review", {
+      actor: req.user,
+      note: "Payment proof submitted",
+      update: { "paymentInfo.screenshotUrl": screenshotUrl, "paymentInfo.rejectionReason": "" },
+    });
+
+    if (!result.success) {
+      return res.status(result.httpStatus).json({ message: result.message });
+    }
+
+    res.json({
+      message: "Payment proof submitted. We'll verify it shortly.",
+      order: toCustomerOrder(result.order),
+    });
+  } catch (err) {
+    console.error("❌ Submit payment proof error:", err);
+    res.status(500).json({ message: "Error submitting payment proof" });
+  }
+});
+
+// ===== Verify Payment (Admin Only) =====
+router.put("/admin/payment/:id/verify", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { transactionRef, amountReceived, note } = req.body;
+    const amount = Number(amountReceived);
+
+    if (!transactionRef) {
+      return res.status(400).json({ message: "Transaction reference is required" });
+    }
+    if (amountReceived === undefined || Number.isNaN(amount) || amount <= 0) {
+      return res.status(400).json({ message: "Amount received must be a positive number" });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    // Each verification adds an instalment; until they cover the total the payment stays under review
+    const alreadyReceived = order.paymentInfo?.amountReceived || 0;
+    const totalReceived = roundMoney(alreadyReceived + amount);
+    const fullyPaid = totalReceived >= order.totalAmount;
+    const result = await changePaymentStatus(order, fullyPaid ? "verified" : "under_review", {
+      actor: req.user,
+      note:
+        note ||
+        (fullyPaid
+          ? `Payment verified (Rs.${amount} received)`
+          : `Partially paid: Rs.${amount} received, Rs.${totalReceived} of Rs.${order.totalAmount} so far`),
+      update: {
+        "paymentInfo.transactionRef": transactionRef,
+        "paymentInfo.rejectionReason": "",
+        ...(fullyPaid
+          ? { "paymentInfo.verifiedAt": new Date(), "paymentInfo.verifiedBy": req.user.id }
+          : {}),
+      },
+      increment: { "paymentInfo.amountReceived": amount },
+      // Another instalment recorded meanwhile would make fullyPaid wrong
+      match: { "paymentInfo.amountReceived": alreadyReceived || { $in: [0, null] } },
+    });
+
+    if (!result.success) {
+      return res.status(result.httpStatus).json({ message: result.message });
+    }
+
+    res.json({
+      message: fullyPaid ? "Payment verified successfully" : "Partial payment recorded",
+      partiallyPaid: !fullyPaid,
+      balanceDue: getBalanceDue(result.order),
+      order: result.order,
+    });
+  } catch (err) {
+    console.error("❌ Verify payment error:", err);
+    res.status(500).json({ message: "Error verifying payment" });
+  }
+});
+
+// ===== Reject Payment (Admin Only) =====
+router.put("/admin/payment/:id/reject", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ message: "Rejection reason is required" });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const result = await changePaymentStatus(order, "rejected", {
+      actor: req.user,
+      note: reason,
+      update: { "paymentInfo.rejectionReason": reason },
+    });
+
+    if (!result.success) {
+      return res.status(result.httpStatus).json({ message: result.message });
+    }
+
+    res.json({ message: "Payment rejected", order: result.order });
+  } catch (err) {
+    console.error("❌ Reject payment error:", err);
+    res.status(500).json({ message: "Error rejecting payment" });
+  }
+});
+
+// ===== Refund Payment (Admin Only) =====
+router.put("/admin/payment/:id/refund", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    // Money already refunded through returns can't be refunded again
+    const returnRefunds = order.paymentInfo?.returnRefundedAmount || 0;
+    const refundable = roundMoney(Math.max((order.paymentInfo?.amountReceived || 0) - returnRefunds, 0));
+    const refundAmount = amount !== undefined ? Number(amount) : refundable;
+    if (Number.isNaN(refundAmount) || refundAmount <= 0) {
+      return res.status(400).json({ message: "Refund amount must be a positive number" });
+    }
+    if (refundAmount > refundable) {
+      return res.status(400).json({ message: `Refund amount can't be more than the Rs.${refundable} still refundable` });
+    }
+
+    const result = await changePaymentStatus(order, "refunded", {
+      actor: req.user,
+      note: note || `Refunded Rs.${refundAmount}`,
+      update: { "paymentInfo.refundedAmount": refundAmount, "paymentInfo.refundedAt": new Date() },
+      // A return refunded meanwhile would change what is still refundable
+      match: { "paymentInfo.returnRefundedAmount": returnRefunds || { $in: [0, null] } },
+    });
+
+    if (!result.success) {
+      return res.status(result.httpStatus).json({ message: result.message });
+    }
+
+    res.json({ message: "Payment marked as refunded", order: result.order });
+  } catch (err) {
+    console.error("❌ Refund payment error:", err);
+    res.status(500).json({ message: "Error refunding payment" });
+  }
+});
+
+// ===== Record COD Cash Collection (Admin Only) =====
+// collectedBy "rider": our own rider handed the cash over, so the payment is settled.
+// collectedBy "courier": the courier holds the cash until its next remittance.
+router.put("/admin/payment/:id/cod-collection", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { collectedBy = "courier", note } = req.body;
+    if (!COD_COLLECTORS.includes(collectedBy)) {
+      return res.status(400).json({ message: `collectedBy must be one of: ${COD_COLLECTORS.join(", ")}` });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (!isCashOnDelivery(order.paymentInfo?.method)) {
+      return res.status(400).json({ message: "This order is not cash on delivery" });
+    }
+    if (!["dispatched", "delivered"].includes(order.status)) {
+      return res.status(400).json({ message: `Cash can't be collected for a ${order.status} order` });
+    }
+
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : order.totalAmount;
+    if (Number.isNaN(amount) || amount <= 0) {
+      return res.status(400).json({ message: "Collected amount must be a positive number" });
+    }
+    if (amount > order.totalAmount) {
+      return res.status(400).json({ message: `Collected amount can't be more than the order total of Rs.${order.totalAmount}` });
+    }
+
+    const now = new Date();
+    const settled = collectedBy === "rider";
+    const result = await changePaymentStatus(order, settled ? "verified" : "cod_collected", {
+      actor: req.user,
+      note: note || `Rs.${amount} collected by ${collectedBy}${amount < order.totalAmount ? ` (short by Rs.${order.totalAmount - amount})` : ""}`,
+      update: {
+        "paymentInfo.cod.collectedAmount": amount,
+        "paymentInfo.cod.collectedAt": now,
+        "paymentInfo.cod.collectedBy": collectedBy,
+        ...(settled
+          ? { "paymentInfo.amountReceived": amount, "paymentInfo.verifiedAt": now, "paymentInfo.verifiedBy": req.user.id }
+          : {}),
+      },
+    });
+
+    if (!result.success) {
+      return res.status(result.httpStatus).json({ message: result.message });
+    }
+
+    res.json({
+      message: settled ? "Cash received" : "Cash collection recorded. Awaiting courier remittance.",
+      balanceDue: getBalanceDue(result.order),
+      order: result.order,
+    });
+  } catch (err) {
+    console.error("❌ COD collection error:", err);
+    res.status(500).json({ message: "Error recording cash collection" });
+  }
+});
+
+// ===== Record COD Courier Remittance (Admin Only) =====
+router.put("/admin/payment/:id/cod-remittance", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { reference, note } = req.body;
+    if (!reference) {
+      return res.status(400).json({ message: "Remittance reference is required" });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (order.paymentStatus !== "cod_collected") {
+      return res.status(400).json({ message: "Only cash collected by a courier can be remitted" });
+    }
+
+    const collected = order.paymentInfo.cod?.collectedAmount || order.totalAmount;
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : collected;
+    if (Number.isNaN(amount) || amount <= 0) {
+      return res.status(400).json({ message: "Remitted amount must be a positive number" });
+    }
+
+    const now = new Date();
+    const result = await changePaymentStatus(order, "verified", {
+      actor: req.user,
+      note: note || `Courier remitted Rs.${amount} (ref ${reference})${amount < collected ? `, short by Rs.${collected - amount}` : ""}`,
+      update: {
+        "paymentInfo.cod.remittedAmount": amount,
+        "paymentInfo.cod.remittedAt": now,
+        "paymentInfo.cod.remittanceRef": reference,
+        "paymentInfo.amountReceived": amount,
+        "paymentInfo.transactionRef": reference,
+        "paymentInfo.verifiedAt": now,
+        "paymentInfo.verifiedBy": req.user.id,
+      },
+    });
+
+    if (!result.success) {
+      return res.status(result.httpStatus).json({ message: result.message });
+    }
+
+    res.json({ message: "Remittance recorded", balanceDue: getBalanceDue(result.order), order: result.order });
+  } catch (err) {
+    console.error("❌ COD remittance error:", err);
+    res.status(500).json({ message: "Error recording remittance" });
+  }
+});
+
+// ===== COD Reconciliation Report (Admin Only) =====
+// Expected cash vs collected vs received for COD orders placed in ?from=&to= (YYYY-MM-DD)
+router.get("/admin/cod/reconciliation", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { filter, error } = buildOrderFilter({ from: req.query.from, to: req.query.to });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    filter["paymentInfo.method"] = "cod";
+    filter.status = { $ne: "cancelled" };
+
+    const [report] = await Order.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                orders: { $sum: 1 },
+                expected: { $sum: "$totalAmount" },
+                collected: { $sum: { $ifNull: ["$paymentInfo.cod.collectedAmount", 0] } },
+                received: { $sum: { $ifNull: ["$paymentInfo.amountReceived", 0] } },
+              },
+            },
+          ],
+          byPaymentStatus: [
+            { $group: { _id: "$paymentStatus", orders: { $sum: 1 }, amount: { $sum: "$totalAmount" } } },
+            { $sort: { _id: 1 } },
+          ],
+          // Cash sitting with couriers, per courier
+          awaitingRemittance: [
+            { $match: { paymentStatus: "cod_collected" } },
+            {
+              $group: {
+                _id: "$shipment.courier",
+                orders: { $sum: 1 },
+                amount: { $sum: "$paymentInfo.cod.collectedAmount" },
+                oldestCollectedAt: { $min: "$paymentInfo.cod.collectedAt" },
+              },
+            },
+            { $sort: { amount: -1 } },
+          ],
+          // Delivered but no cash recorded yet - chase these first
+          deliveredNotCollected: [
+            { $match: { status: "delivered", paymentStatus: "cod_pending" } },
+            { $sort: { updatedAt: 1 } },
+            { $limit: 100 },
+            { $project: { orderNumber: 1, totalAmount: 1, "customerInfo.name": 1, "shipment.courier": 1, updatedAt: 1 } },
+          ],
+        },
+      },
+    ]);
+
+    const totals = report.totals[0] || { orders: 0, expected: 0, collected: 0, received: 0 };
+    res.json({
+      summary: {
+        orders: totals.orders,
+        expectedCash: totals.expected,
+        collectedCash: totals.collected,
+        receivedCash: totals.received,
+        pendingCollection: totals.expected - totals.collected,
+        awaitingRemittance: totals.collected - totals.received,
+      },
+      byPaymentStatus: report.byPaymentStatus.map(({ _id, ...rest }) => ({ paymentStatus: _id, ...rest })),
+      awaitingRemittanceByCourier: report.awaitingRemittance.map(({ _id, ...rest }) => ({ courier: _id || "unassigned", ...rest })),
+      deliveredNotCollected: report.deliveredNotCollected,
+    });
+  } catch (err) {
+    console.error("❌ COD reconciliation error:", err);
+    res.status(500).json({ message: "Error building COD reconciliation report" });
+  }
+});
+
+// ===== Sales Analytics (Admin Only) =====
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=day|week|month (store timezone, defaults to the last 30 days)
+router.get("/admin/analytics", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { range, error } = parseAnalyticsRange(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(await buildSalesAnalytics(range));
+  } catch (err) {
+    console.error("❌ Sales analytics error:", err);
+    res.status(500).json({ message: "Error building sales analytics" });
+  }
+});
+
 // ===== Get Order Statistics (Admin Only) =====
 router.get("/admin/stats", verifyToken, isAdmin, async (req, res) => {
   try {
-    const total = await Order.countDocuments();
-    const pending = await Order.countDocuments({ status: "pending" });
-    const confirmed = await Order.countDocuments({ status: "confirmed" });
-    const processing = await Order.countDocuments({ status: "processing" });
-    const dispatched = await Order.countDocuments({ status: "dispatched" });
-    const delivered = await Order.countDocuments({ status: "delivered" });
-    const cancelled = await Order.countDocuments({ status: "cancelled" });
-
-    // Total revenue (only delivered orders)
-    const revenueResult = await Order.aggregate([
-      { $match: { status: "delivered" } },
-      { $group: { _id: null, total: { $sum: "$totalAmount" } } },
+    // Count per status, delivered revenue and payment refunds in one pass
+    const statusResult = await Order.aggregate([
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          revenue: { $sum: "$totalAmount" },
+          paymentRefunds: { $sum: { $ifNull: ["$paymentInfo.refundedAmount", 0] } },
+        },
+      },
+    ]);
+    const counts = Object.fromEntries(ORDER_STATUSES.map((status) => [status, 0]));
+    statusResult.forEach(({ _id, count }) => {
+      counts[_id] = count;
+    });
+    const total = statusResult.reduce((sum, { count }) => sum + count, 0);
+    const { pending, confirmed, processing, dispatched, delivered, cancelled } = counts;
+
+    // Total revenue (only delivered orders), and refunds on those same orders
+    const deliveredResult = statusResult.find(({ _id }) => _id === "delivered");
+    const totalRevenue = deliveredResult?.revenue || 0;
+    const paymentRefunds = deliveredResult?.paymentRefunds || 0;
+
+    // Refunds on returned items of delivered orders, so revenue can be reported net of returns
+    const refundResult = await ReturnRequest.aggregate([
+      { $match: { status: "refunded" } },
+      {
+        $lookup: {
+          from: Order.collection.name,
+          localField: "order",
+          foreignField: "_id",
+          pipeline: [{ $project: { status: 1 } }],
+          as: "orderDoc",
+        },
+      },
+      { $match: { "orderDoc.status": "delivered" } },
+      { $group: { _id: null, total: { $sum: "$refund.amount" }, count: { $sum: 1 } } },
     ]);
-    const totalRevenue = revenueResult.length > 0 ? revenueResult[0].total : 0;
+    const returnRefunds = refundResult.length > 0 ? refundResult[0].total : 0;
+    const refundedReturns = refundResult.length > 0 ? refundResult[0].count : 0;
+    const totalRefunds = roundMoney(returnRefunds + paymentRefunds);
 
     res.json({
       total,
@@ -318,6 +1359,11 @@ router.get("/admin/stats", verifyToken, isAdmin, async (req, res) => {
       delivered,
       cancelled,
       totalRevenue,
+      totalRefunds,
+      returnRefunds,
+      paymentRefunds,
+      refundedReturns,
+      netRevenue: roundMoney(totalRevenue - totalRefunds),
     });
   } catch (err) {
     console.error("❌ Get stats error:", err);
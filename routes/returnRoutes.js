@@ -0,0 +1,370 @@
+import express from "express";
+import fs from "fs";
+import multer from "multer";
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import ReturnRequest from "../models/ReturnRequest.js";
+import { verifyToken, isAdmin } from "../middleware/auth.js";
+import { uploadFile, deleteAsset, UPLOAD_TEMP_DIR } from "../utils/storage/index.js";
+import { releaseStock } from "../utils/inventory.js";
+import { roundMoney } from "../utils/pricing.js";
+import { RETURN_WINDOW_DAYS } from "../config/store.js";
+
+const router = express.Router();
+
+// ===== Multer Config (return photos) =====
+const upload = multer({
+  dest: UPLOAD_TEMP_DIR,
+  limits: { fileSize: 5 * 1024 * 1024, files: 5 },
+  fileFilter: (req, file, cb) => {
+    const ok = ["image/png", "image/jpeg", "image/jpg", "image/webp"].includes(file.mimetype);
+    cb(ok ? null : new Error("Only images allowed"), ok);
+  },
+});
+
+const REFUND_METHODS = ["easypaisa", "bank", "cash", "store_credit"];
+const REASON_TYPES = ReturnRequest.schema.path("reasonType").enumValues;
+
+// Multer temp files left behind when a request stops before (or while) uploading them
+const discardTempFiles = (files = []) => files.forEach((file) => fs.unlink(file.path, () => {}));
+
+// Delete uploaded return photos that no return request points at; never throws
+const deletePhotos = (urls) => Promise.all(urls.map((url) => deleteAsset({ url })));
+
+// Items in a multipart form arrive as a JSON string
+function parseItems(input) {
+  if (Array.isArray(input)) return input;
+  try {
+    const parsed = JSON.parse(input || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// When the order reached "delivered" (orders from before status history fall back to updatedAt)
+const getDeliveredAt = (order) =>
+  [...(order.statusHistory || [])].reverse().find((entry) => entry.status === "delivered")?.changedAt ||
+  order.updatedAt;
+
+const lineTotalOf = (item) => item.lineTotal ?? item.price * item.quantity;
+
+// Merchandise the customer actually paid for: line totals less the coupon
+const paidForItems = (order) =>
+  roundMoney(order.items.reduce((sum, item) => sum + lineTotalOf(item), 0) - (order.coupon?.discount || 0));
+
+// Money already given back on the order, through returns and payment refunds
+const refundedOnOrder = (order) =>
+  roundMoney((order.paymentInfo?.returnRefundedAmount || 0) + (order.paymentInfo?.refundedAmount || 0));
+
+// Unit price paid for each order line after its coupon share. Orders from before lines
+// stored their share spread the coupon over every line.
+function paidUnitPrices(order) {
+  const allocated = order.items.reduce((sum, item) => sum + (item.couponDiscount || 0), 0);
+  const unallocated = allocated > 0 ? 0 : order.coupon?.discount || 0;
+  const subtotal = order.items.reduce((sum, item) => sum + lineTotalOf(item), 0);
+  return new Map(
+    order.items.map((item) => {
+      const share = (item.couponDiscount || 0) + (subtotal > 0 ? (unallocated * lineTotalOf(item)) / subtotal : 0);
+      return [item._id.toString(), roundMoney(Math.max(lineTotalOf(item) - share, 0) / item.quantity)];
+    })
+  );
+}
+
+const returnValue = (request) =>
+  roundMoney(request.items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0));
+
+// Move a return between statuses, guarding against concurrent admin actions
+const moveReturn = (request, nextStatus, { actor, note, update = {} }) =>
+  ReturnRequest.findOneAndUpdate(
+    { _id: request._id, status: request.status },
+    {
+      $set: { ...update, status: nextStatus },
+      $push: {
+        history: { status: nextStatus, changedAt: new Date(), changedBy: actor.id, changedByRole: actor.role, note: note || "" },
+      },
+    },
+    { new: true }
+  );
+
+// ===== Customer: request a return =====
+router.post("/", verifyToken, upload.array("photos", 5), async (req, res) => {
+  const photos = [];
+  let saved = false;
+  try {
+    const { orderId, reasonType, description } = req.body;
+    const requestedItems = parseItems(req.body.items);
+
+    if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ message: "A valid order is required" });
+    }
+    if (!reasonType) {
+      return res.status(400).json({ message: "Return reason is required" });
+    }
+    if (!REASON_TYPES.includes(reasonType)) {
+      return res.status(400).json({ message: `Return reason must be one of: ${REASON_TYPES.join(", ")}` });
+    }
+    if (requestedItems.length === 0) {
+      return res.status(400).json({ message: "Select at least one item to return" });
+    }
+
+    const order = await Order.findOne({ _id: orderId, user: req.user.id });
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (order.status !== "delivered") {
+      return res.status(400).json({ message: "Returns can only be requested for delivered orders" });
+    }
+
+    const deadline = new Date(getDeliveredAt(order).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (new Date() > deadline) {
+      return res.status(403).json({ message: `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery` });
+    }
+
+    // Quantities already claimed by earlier, non-rejected returns
+    const earlier = await ReturnRequest.find({ order: order._id, status: { $ne: "rejected" } });
+    const alreadyReturned = new Map();
+    earlier.forEach((request) =>
+      request.items.forEach((item) => {
+        const key = item.orderItemId.toString();
+        alreadyReturned.set(key, (alreadyReturned.get(key) || 0) + item.quantity);
+      })
+    );
+
+    const unitPrices = paidUnitPrices(order);
+    const items = [];
+    for (const requested of requestedItems) {
+      const orderItem = order.items.find((item) => item._id.toString() === String(requested.orderItemId));
+      const quantity = Number(requested.quantity);
+      if (!orderItem) {
+        return res.status(400).json({ message: "One of the selected items is not part of this order" });
+      }
+      const returnable = orderItem.quantity - (alreadyReturned.get(orderItem._id.toString()) || 0);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+        return res.status(400).json({
+          message: returnable > 0
+            ? `You can return at most ${returnable} of ${orderItem.name}`
+            : `${orderItem.name} has already been returned`,
+        });
+      }
+      items.push({
+        orderItemId: orderItem._id,
+        productId: orderItem.productId,
+        variantId: orderItem.variantId || null,
+        name: orderItem.name,
+        quantity,
+        unitPrice: unitPrices.get(orderItem._id.toString()),
+      });
+    }
+
+    for (const file of req.files || []) {
+      photos.push(await uploadFile(file, "returns/photos"));
+    }
+
+    const request = await ReturnRequest.create({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      user: req.user.id,
+      items,
+      reasonType,
+      description: description || "",
+      photos,
+      history: [{ status: "requested", changedBy: req.user.id, changedByRole: req.user.role, note: description || "" }],
+    });
+    saved = true;
+
+    res.status(201).json({ message: "Return request submitted", returnRequest: request });
+  } catch (err) {
+    console.error("❌ Create return error:", err);
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: "Error submitting return request" });
+  } finally {
+    discardTempFiles(req.files);
+    if (!saved) await deletePhotos(photos);
+  }
+});
+
+// ===== Customer: my return requests =====
+router.get("/mine", verifyToken, async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ user: req.user.id })
+      .select("-history.changedBy")
+      .sort({ createdAt: -1 });
+    res.json({ returns });
+  } catch (err) {
+    console.error("❌ Get my returns error:", err);
+    res.status(500).json({ message: "Error fetching return requests" });
+  }
+});
+
+// ===== Admin: list return requests =====
+router.get("/admin/all", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status && status !== "all") filter.status = status;
+
+    const total = await ReturnRequest.countDocuments(filter);
+    const returns = await ReturnRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .populate("user", "firstName lastName email");
+
+    res.json({
+      returns,
+      totalPages: Math.ceil(total / limit),
+      currentPage: Number(page),
+      total,
+    });
+  } catch (err) {
+    console.error("❌ Get all returns error:", err);
+    res.status(500).json({ message: "Error fetching return requests" });
+  }
+});
+
+// ===== Admin: approve return (optionally restocking) =====
+router.put("/admin/:id/approve", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const request = await ReturnRequest.findById(req.params.id);
+    if (!request) return res.status(404).json({ message: "Return request not found" });
+    if (request.status !== "requested") {
+      return res.status(400).json({ message: `Return is already ${request.status}` });
+    }
+
+    // Damaged goods usually can't be sold again, so they aren't restocked unless asked
+    const restock = req.body.restock !== undefined
+      ? req.body.restock === true || req.body.restock === "true"
+      : request.reasonType !== "damaged";
+
+    const updated = await moveReturn(request, "approved", {
+      actor: req.user,
+      note: req.body.note,
+      update: { restocked: restock },
+    });
+    if (!updated) {
+      return res.status(409).json({ message: "Return was changed by someone else. Please refresh and try again." });
+    }
+
+    if (restock) {
+      await releaseStock(updated.items, {
+        type: "return_restock",
+        reason: `Return for order ${updated.orderNumber}`,
+        orderId: updated.order,
+        returnRequestId: updated._id,
+        actor: req.user,
+      });
+    }
+
+    res.json({ message: "Return approved", returnRequest: updated });
+  } catch (err) {
+    console.error("❌ Approve return error:", err);
+    res.status(500).json({ message: "Error approving return" });
+  }
+});
+
+// ===== Admin: reject return =====
+router.put("/admin/:id/reject", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) return res.status(400).json({ message: "Rejection reason is required" });
+
+    const request = await ReturnRequest.findById(req.params.id);
+    if (!request) return res.status(404).json({ message: "Return request not found" });
+    if (request.status !== "requested") {
+      return res.status(400).json({ message: `Return is already ${request.status}` });
+    }
+
+    const updated = await moveReturn(request, "rejected", {
+      actor: req.user,
+      note: reason,
+      update: { rejectionReason: reason },
+    });
+    if (!updated) {
+      return res.status(409).json({ message: "Return was changed by someone else. Please refresh and try again." });
+    }
+
+    res.json({ message: "Return rejected", returnRequest: updated });
+  } catch (err) {
+    console.error("❌ Reject return error:", err);
+    res.status(500).json({ message: "Error rejecting return" });
+  }
+});
+
+// ===== Admin: record refund =====
+router.put("/admin/:id/refund", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { amount, method, reference, note } = req.body;
+
+    const request = await ReturnRequest.findById(req.params.id);
+    if (!request) return res.status(404).json({ message: "Return request not found" });
+    if (request.status !== "approved") {
+      return res.status(400).json({ message: "Only approved returns can be refunded" });
+    }
+
+    // Never refund more than was paid for the order's items, across its returns and payment refunds
+    const order = await Order.findById(request.order).select("items coupon paymentInfo.refundedAmount paymentInfo.returnRefundedAmount");
+    if (!order) return res.status(404).json({ message: "Order not found" });
+    const paid = paidForItems(order);
+    const stillRefundable = paid - refundedOnOrder(order);
+    const maxRefund = roundMoney(Math.max(Math.min(returnValue(request), stillRefundable), 0));
+    const refundAmount = amount !== undefined ? roundMoney(amount) : maxRefund;
+    if (Number.isNaN(refundAmount) || refundAmount <= 0 || refundAmount > maxRefund) {
+      return res.status(400).json({ message: `Refund amount must be between 0 and Rs.${maxRefund}` });
+    }
+    if (!REFUND_METHODS.includes(method)) {
+      return res.status(400).json({ message: `Refund method must be one of: ${REFUND_METHODS.join(", ")}` });
+    }
+
+    // Claim the amount on the order first; the filter re-checks the cap, so two refunds
+    // recorded at the same time can't both fit under it
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        $expr: {
+          $lte: [
+            {
+              $add: [
+                { $ifNull: ["$paymentInfo.returnRefundedAmount", 0] },
+                { $ifNull: ["$paymentInfo.refundedAmount", 0] },
+                refundAmount,
+              ],
+            },
+            paid + 0.005, // Rounding slack
+          ],
+        },
+      },
+      { $inc: { "paymentInfo.returnRefundedAmount": refundAmount } }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: "Another refund on this order was just recorded. Please refresh and try again." });
+    }
+
+    const updated = await moveReturn(request, "refunded", {
+      actor: req.user,
+      note: note || `Refunded Rs.${refundAmount} via ${method}`,
+      update: {
+        refund: {
+          amount: refundAmount,
+          method,
+          reference: reference || "",
+          refundedAt: new Date(),
+          refundedBy: req.user.id,
+        },
+      },
+    });
+    if (!updated) {
+      await Order.updateOne({ _id: order._id }, { $inc: { "paymentInfo.returnRefundedAmount": -refundAmount } });
+      return res.status(409).json({ message: "Return was changed by someone else. Please refresh and try again." });
+    }
+
+    res.json({ message: "Refund recorded", returnRequest: updated });
+  } catch (err) {
+    console.error("❌ Refund return error:", err);
+    res.status(500).json({ message: "Error recording refund" });
+  }
+});
+
+export default router;
@@ -0,0 +1,147 @@
+import express from "express";
+import ShippingZone from "../models/ShippingZone.js";
+import { verifyToken, isAdmin } from "../middleware/auth.js";
+import { quoteOrder } from "../utils/checkout.js";
+
+const router = express.Router();
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") return value.split(",");
+  return [];
+};
+
+const toOptionalAmount = (value) =>
+  value === undefined || value === null || value === "" ? null : Number(value);
+
+// Build zone fields from the request body; returns { data } or { error }
+function buildZoneData(body, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) return { error: "Zone name is required" };
+    data.name = String(body.name).trim();
+  }
+  if (!partial || body.flatFee !== undefined) {
+    const fee = Number(body.flatFee);
+    if (Number.isNaN(fee) || fee < 0) return { error: "Flat fee must be zero or more" };
+    data.flatFee = fee;
+  }
+  if (body.cities !== undefined) data.cities = toList(body.cities);
+  if (body.provinces !== undefined) data.provinces = toList(body.provinces);
+  if (body.freeShippingThreshold !== undefined) {
+    data.freeShippingThreshold = toOptionalAmount(body.freeShippingThreshold);
+    if (Number.isNaN(data.freeShippingThreshold)) return { error: "Invalid free shipping threshold" };
+  }
+  if (body.estimatedDelivery !== undefined) {
+    const minDays = Number(body.estimatedDelivery?.minDays);
+    const maxDays = Number(body.estimatedDelivery?.maxDays);
+    if (Number.isNaN(minDays) || Number.isNaN(maxDays) || minDays < 0 || maxDays < minDays) {
+      return { error: "Estimated delivery needs minDays <= maxDays" };
+    }
+    data.estimatedDelivery = { minDays, maxDays };
+  }
+  for (const flag of ["codAllowed", "isDefault", "isActive"]) {
+    if (body[flag] !== undefined) data[flag] = body[flag] === true || body[flag] === "true";
+  }
+
+  return { data };
+}
+
+// Only one zone may be the fallback for unlisted cities
+const clearOtherDefaults = (zoneId) =>
+  ShippingZone.updateMany({ _id: { $ne: zoneId }, isDefault: true }, { isDefault: false });
+
+// ===== Public: quote shipping for a cart and address =====
+router.post("/quote", async (req, res) => {
+  try {
+    const { items, city, province, couponCode, paymentMethod } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: "Cart items are required" });
+    }
+    if (!city && !province) {
+      return res.status(400).json({ message: "City is required" });
+    }
+
+    const quote = await quoteOrder({ items, couponCode, city, province, paymentMethod });
+    if (!quote.success) {
+      return res.status(quote.httpStatus).json({ message: quote.message, errors: quote.errors });
+    }
+
+    res.json({ shipping: quote.shipping, pricing: quote.pricing });
+  } catch (err) {
+    console.error("❌ Shipping quote error:", err);
+    res.status(500).json({ message: "Failed to quote shipping" });
+  }
+});
+
+// ===== Public: cities we deliver to (for checkout dropdowns) =====
+router.get("/cities", async (req, res) => {
+  try {
+    const zones = await ShippingZone.find({ isActive: true }).select("cities provinces isDefault");
+    const cities = [...new Set(zones.flatMap((z) => z.cities))].sort();
+    const provinces = [...new Set(zones.flatMap((z) => z.provinces))].sort();
+    res.json({ cities, provinces, deliversEverywhere: zones.some((z) => z.isDefault) });
+  } catch (err) {
+    console.error("❌ Shipping cities error:", err);
+    res.status(500).json({ message: "Failed to fetch delivery cities" });
+  }
+});
+
+// ===== Admin: list zones =====
+router.get("/admin/all", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ name: 1 });
+    res.json({ zones });
+  } catch (err) {
+    console.error("❌ Shipping zone list error:", err);
+    res.status(500).json({ message: "Failed to fetch shipping zones" });
+  }
+});
+
+// ===== Admin: create zone =====
+router.post("/", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { data, error } = buildZoneData(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const zone = await ShippingZone.create(data);
+    if (zone.isDefault) await clearOtherDefaults(zone._id);
+
+    res.status(201).json({ message: "Shipping zone created", zone });
+  } catch (err) {
+    console.error("❌ Shipping zone create error:", err);
+    res.status(500).json({ message: "Failed to create shipping zone" });
+  }
+});
+
+// ===== Admin: update zone =====
+router.put("/:id", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const { data, error } = buildZoneData(req.body, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+
+    const zone = await ShippingZone.findByIdAndUpdate(req.params.id, data, { new: true, runValidators: true });
+    if (!zone) return res.status(404).json({ message: "Shipping zone not found" });
+    if (zone.isDefault) await clearOtherDefaults(zone._id);
+
+    res.json({ message: "Shipping zone updated", zone });
+  } catch (err) {
+    console.error("❌ Shipping zone update error:", err);
+    res.status(500).json({ message: "Failed to update shipping zone" });
+  }
+});
+
+// ===== Admin: delete zone =====
+router.delete("/:id", verifyToken, isAdmin, async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+    if (!zone) return res.status(404).json({ message: "Shipping zone not found" });
+    res.json({ message: "Shipping zone deleted" });
+  } catch (err) {
+    console.error("❌ Shipping zone delete error:", err);
+    res.status(500).json({ message: "Failed to delete shipping zone" });
+  }
+});
+
+export default router;
@@ -0,0 +1,52 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Order from "../models/Order.js";
+import Counter from "../models/Counter.js";
+import { ORDER_NUMBER_PATTERN, orderCounterKey } from "../utils/orderNumber.js";
+import { ORDER_NUMBER_RESET_DAILY } from "../config/store.js";
+
+dotenv.config();
+
+// One-time seed of the order number counter(s) from existing orders.
+// Safe to re-run: counters only ever move up ($max), never down.
+const run = async () => {
+  try {
+    await connectDB();
+
+    // Highest sequence used overall and per day
+    let highest = 0;
+    const highestByDay = new Map();
+    let scanned = 0;
+
+    const cursor = Order.find({}, { orderNumber: 1 }).lean().cursor();
+    for await (const { orderNumber } of cursor) {
+      scanned++;
+      const match = ORDER_NUMBER_PATTERN.exec(orderNumber || "");
+      if (!match) continue;
+      const [, day, seqText] = match;
+      const seq = Number(seqText);
+      highest = Math.max(highest, seq);
+      highestByDay.set(day, Math.max(highestByDay.get(day) || 0, seq));
+    }
+
+    // The old scheme used countDocuments() + 1, so never start below the order count either
+    const seeds = ORDER_NUMBER_RESET_DAILY
+      ? [...highestByDay].map(([day, seq]) => [orderCounterKey(day, true), seq])
+      : [[orderCounterKey(null, false), Math.max(highest, scanned)]];
+
+    for (const [key, seq] of seeds) {
+      const counter = await Counter.findOneAndUpdate({ _id: key }, { $max: { seq } }, { upsert: true, new: true });
+      console.log(`🔢 ${key}: ${counter.seq}`);
+    }
+
+    console.log(`🎉 Order counter migration complete (${scanned} orders scanned, ${seeds.length} counters seeded)`);
+  } catch (err) {
+    console.error("❌ Order counter migration failed:", err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,37 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Product from "../models/Product.js";
+import { seedLegacyMedia } from "../utils/productMedia.js";
+
+dotenv.config();
+
+// One-time move of imageUrl/videoUrl into the media gallery, with Cloudinary public IDs
+// recovered from the URLs. Safe to re-run: products that already have a gallery are skipped.
+const run = async () => {
+  try {
+    await connectDB();
+
+    let migrated = 0;
+    const cursor = Product.find({
+      "media.0": { $exists: false },
+      $or: [{ imageUrl: { $nin: ["", null] } }, { videoUrl: { $nin: ["", null] } }],
+    }).cursor();
+
+    for await (const product of cursor) {
+      seedLegacyMedia(product);
+      await product.save();
+      migrated++;
+      console.log(`🖼️ ${product.name}: ${product.media.length} item(s)`);
+    }
+
+    console.log(`🎉 Product media migration complete (${migrated} products migrated)`);
+  } catch (err) {
+    console.error("❌ Product media migration failed:", err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
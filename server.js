@@ -9,9 +9,15 @@ import userRoutes from "./routes/userRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import orderRoutes from "./routes/orderRoutes.js";
 import blogRoutes from "./routes/blogRoutes.js";
+import couponRoutes from "./routes/couponRoutes.js";
+import shippingRoutes from "./routes/shippingRoutes.js";
+import deliverySlotRoutes from "./routes/deliverySlotRoutes.js";
+import returnRoutes from "./routes/returnRoutes.js";
+import courierRoutes from "./routes/courierRoutes.js";
+import { scheduleStockAlertDigest } from "./utils/stockAlerts.js";
+import { uploadAsset, getStorageProvider, UPLOAD_TEMP_DIR } from "./utils/storage/index.js";
+import { LOCAL_MEDIA_ROOT } from "./utils/storage/localStorage.js";
 import multer from "multer";
-import fs from "fs";
-import { v2 as cloudinary } from "cloudinary";
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
@@ -41,6 +47,7 @@ app.use(
       }
     },
     credentials: true,
+    exposedHeaders: ["Idempotent-Replayed"],
   })
 );
 
@@ -48,16 +55,13 @@ app.use(
 app.use(bodyParser.json());
 app.use(express.urlencoded({ extended: true }));
 
-// ------------------ Cloudinary Config (for checkout screenshots only) ------------------
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// ------------------ Local Media (MEDIA_STORAGE=local) ------------------
+// Always mounted so files uploaded locally keep loading after switching providers
+app.use("/media", express.static(LOCAL_MEDIA_ROOT, { maxAge: "7d", fallthrough: false }));
 
 // ------------------ Multer (temp storage) ------------------
 const upload = multer({
-  dest: "uploads/",
+  dest: UPLOAD_TEMP_DIR,
   limits: { fileSize: 5 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
     const ok = ["image/png", "image/jpeg", "image/jpg", "image/webp"].includes(file.mimetype);
@@ -70,21 +74,16 @@ app.get("/api/health", (req, res) => {
   res.json({ ok: true, ts: Date.now() });
 });
 
-// ------------------ Checkout Screenshot Upload (Cloudinary) ------------------
+// ------------------ Checkout Screenshot Upload ------------------
 app.post("/api/upload", upload.single("file"), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No file uploaded" });
 
-    const result = await cloudinary.uploader.upload(req.file.path, {
-      folder: "orders/screenshots",
-      resource_type: "image",
-    });
-
-    fs.unlink(req.file.path, () => {}); // delete temp file
+    const result = await uploadAsset(req.file, "orders/screenshots");
 
     return res.json({
-      url: result.secure_url,
-      public_id: result.public_id,
+      url: result.url,
+      public_id: result.publicId,
     });
   } catch (err) {
     console.error("Upload error:", err);
@@ -97,6 +96,11 @@ app.use("/api/users", userRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/blog", blogRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/shipping", shippingRoutes);
+app.use("/api/delivery-slots", deliverySlotRoutes);
+app.use("/api/returns", returnRoutes);
+app.use("/api/couriers", courierRoutes);
 
 
 // ------------------ Start Server ------------------
@@ -105,6 +109,8 @@ const PORT = process.env.PORT || 5000;
 const startServer = async () => {
   try {
     await connectDB();
+    scheduleStockAlertDigest();
+    console.log(`🗂️ Media storage: ${getStorageProvider().key}`);
     app.listen(PORT, () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
     });
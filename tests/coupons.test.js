@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateCoupon, allocateCouponDiscount, normalizeCouponCode } from "../utils/coupons.js";
+
+const coupon = (fields = {}) => ({
+  code: "EID20",
+  isActive: true,
+  discountType: "percentage",
+  discountValue: 20,
+  maxDiscount: null,
+  minOrderValue: 0,
+  usageLimit: null,
+  perUserLimit: null,
+  usedCount: 0,
+  startsAt: null,
+  endsAt: null,
+  products: [],
+  categories: [],
+  redemptions: [],
+  ...fields,
+});
+const items = [
+  { productId: "p1", category: "Frames", lineTotal: 3000 },
+  { productId: "p2", category: "Mugs", lineTotal: 1000 },
+];
+const cart = { items, subtotal: 4000, userId: "u1" };
+
+test("evaluateCoupon applies percentage and fixed discounts", () => {
+  assert.equal(evaluateCoupon(coupon(), cart).discount, 800);
+  assert.equal(evaluateCoupon(coupon({ maxDiscount: 500 }), cart).discount, 500);
+  assert.equal(evaluateCoupon(coupon({ discountType: "fixed", discountValue: 9000 }), cart).discount, 4000);
+});
+
+test("evaluateCoupon only discounts lines in the coupon's scope", () => {
+  const result = evaluateCoupon(coupon({ categories: ["mugs"] }), cart);
+  assert.equal(result.discount, 200);
+  assert.equal(result.eligibleSubtotal, 1000);
+  assert.match(evaluateCoupon(coupon({ products: ["p9"] }), cart).message, /doesn't apply/);
+});
+
+test("evaluateCoupon enforces dates, limits and the minimum order", () => {
+  const day = 24 * 60 * 60 * 1000;
+  assert.match(evaluateCoupon(coupon({ isActive: false }), cart).message, /not valid/);
+  assert.match(evaluateCoupon(coupon({ startsAt: new Date(Date.now() + day) }), cart).message, /not active yet/);
+  assert.match(evaluateCoupon(coupon({ endsAt: new Date(Date.now() - day) }), cart).message, /expired/);
+  assert.match(evaluateCoupon(coupon({ usageLimit: 5, usedCount: 5 }), cart).message, /usage limit/);
+  assert.match(evaluateCoupon(coupon({ perUserLimit: 1, redemptions: [{ user: "u1" }] }), cart).message, /already used/);
+  assert.match(evaluateCoupon(coupon({ minOrderValue: 5000 }), cart).message, /Rs\.1000 more/);
+});
+
+test("allocateCouponDiscount splits the discount over eligible lines and adds up exactly", () => {
+  const three = [
+    { productId: "a", lineTotal: 100 },
+    { productId: "b", lineTotal: 100 },
+    { productId: "c", lineTotal: 100 },
+  ];
+  const shares = allocateCouponDiscount(coupon(), three, 100).map((item) => item.couponDiscount);
+  assert.deepEqual(shares, [33.33, 33.33, 33.34]);
+
+  const scoped = allocateCouponDiscount(coupon({ categories: ["frames"] }), items, 600);
+  assert.deepEqual(scoped.map((item) => item.couponDiscount), [600, 0]);
+});
+
+test("normalizeCouponCode trims and upper-cases", () => {
+  assert.equal(normalizeCouponCode("  eid20 "), "EID20");
+  assert.equal(normalizeCouponCode(null), "");
+});
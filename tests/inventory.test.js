@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { staleStockEdit } from "../utils/inventory.js";
+
+test("staleStockEdit lets an unedited count through, even if stock moved since", () => {
+  assert.equal(staleStockEdit({ stock: 10, expectedStock: 10, currentStock: 7 }), null);
+  assert.equal(staleStockEdit({ stock: 7, expectedStock: null, currentStock: 7 }), null);
+});
+
+test("staleStockEdit applies an edit made against the current count", () => {
+  assert.equal(staleStockEdit({ stock: 25, expectedStock: 10, currentStock: 10 }), null);
+});
+
+test("staleStockEdit refuses an edit made against an older count", () => {
+  const refusal = staleStockEdit({ stock: 25, expectedStock: 10, currentStock: 8, label: "MUG-RED" });
+  assert.equal(refusal.httpStatus, 409);
+  assert.match(refusal.message, /^MUG-RED: Stock has changed to 8/);
+});
+
+test("staleStockEdit needs expectedStock to change a count", () => {
+  const refusal = staleStockEdit({ stock: 25, expectedStock: null, currentStock: 10 });
+  assert.equal(refusal.httpStatus, 400);
+  assert.match(refusal.message, /^Send expectedStock/);
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildOrderFilter, buildOrderSort } from "../utils/orderFilters.js";
+
+test("buildOrderFilter passes known statuses through and ignores 'all'", () => {
+  assert.deepEqual(buildOrderFilter({ status: "dispatched", paymentStatus: "verified" }).filter, {
+    status: "dispatched",
+    paymentStatus: "verified",
+  });
+  assert.deepEqual(buildOrderFilter({ status: "all", paymentStatus: "all" }).filter, {});
+});
+
+test("buildOrderFilter rejects unknown statuses", () => {
+  assert.match(buildOrderFilter({ status: "shipped" }).error, /^status must be one of/);
+  assert.match(buildOrderFilter({ paymentStatus: "paid" }).error, /^paymentStatus must be one of/);
+});
+
+test("buildOrderFilter never lets query operators through", () => {
+  for (const query of [
+    { status: { $ne: "x" } },
+    { paymentStatus: { $regex: "." } },
+    { product: { $gt: "" } },
+    { status: ["pending", "confirmed"] },
+    { minTotal: { $gt: 0 } },
+  ]) {
+    const [key] = Object.keys(query);
+    assert.equal(buildOrderFilter(query).error, `${key} must be given once, as a single value`);
+  }
+});
+
+test("buildOrderFilter accepts numbers from JSON filters", () => {
+  assert.deepEqual(buildOrderFilter({ minTotal: 1000, maxTotal: "5000" }).filter, {
+    totalAmount: { $gte: 1000, $lte: 5000 },
+  });
+  assert.equal(buildOrderFilter({ minTotal: "lots" }).error, "minTotal must be a number");
+});
+
+test("buildOrderFilter escapes text searches and matches phones by digits", () => {
+  const { filter } = buildOrderFilter({ orderNumber: "go-2024.1", phone: "+92 300-1234567", email: "a+b@x.com" });
+  assert.deepEqual(filter.orderNumber, { $regex: "^GO-2024\\.1" });
+  assert.deepEqual(filter["customerInfo.phone"], { $regex: "3\\D*0\\D*0\\D*1\\D*2\\D*3\\D*4\\D*5\\D*6\\D*7" });
+  assert.deepEqual(filter["customerInfo.email"], { $regex: "a\\+b@x\\.com", $options: "i" });
+  assert.equal(buildOrderFilter({ phone: "none" }).error, "phone must contain digits");
+});
+
+test("buildOrderFilter searches products by id or by name", () => {
+  const id = "64b0000000000000000000aa";
+  assert.deepEqual(buildOrderFilter({ product: id }).filter, { "items.productId": id });
+  assert.deepEqual(buildOrderFilter({ product: "Mug" }).filter, { "items.name": { $regex: "Mug", $options: "i" } });
+});
+
+test("buildOrderFilter checks date bounds", () => {
+  const { filter } = buildOrderFilter({ from: "2024-03-01", to: "2024-03-31" });
+  assert.ok(filter.createdAt.$gte < filter.createdAt.$lte);
+  assert.equal(buildOrderFilter({ from: "03/01/2024" }).error, "from must be a date in YYYY-MM-DD format");
+});
+
+test("buildOrderSort sorts by a known field with _id as tie-breaker", () => {
+  assert.deepEqual(buildOrderSort().sort, { createdAt: -1, _id: -1 });
+  assert.deepEqual(buildOrderSort("customer").sort, { "customerInfo.name": 1, _id: 1 });
+  assert.deepEqual(buildOrderSort("-totalAmount").sort, { totalAmount: -1, _id: -1 });
+});
+
+test("buildOrderSort rejects unknown fields and repeated values", () => {
+  assert.match(buildOrderSort("-password").error, /^sort must be one of/);
+  assert.equal(buildOrderSort(["-createdAt", "status"]).error, "sort must be given once, as a single value");
+  assert.equal(buildOrderSort({ $gt: "" }).error, "sort must be given once, as a single value");
+});
@@ -0,0 +1,76 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Order from "../models/Order.js";
+import { changePaymentStatus, getBalanceDue, getPaymentGateError } from "../utils/payment.js";
+
+const admin = { id: "64b000000000000000000001", role: "admin" };
+
+afterEach(() => mock.restoreAll());
+
+test("changePaymentStatus refuses transitions the lifecycle doesn't allow", async () => {
+  const update = mock.method(Order, "findOneAndUpdate", async () => ({}));
+
+  for (const [from, to] of [
+    ["awaiting_proof", "refunded"],
+    ["verified", "under_review"],
+    ["refunded", "verified"],
+    ["cod_collected", "rejected"],
+  ]) {
+    const result = await changePaymentStatus({ _id: "o1", paymentStatus: from }, to, { actor: admin });
+    assert.equal(result.success, false, `${from} -> ${to}`);
+    assert.equal(result.httpStatus, 400);
+  }
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test("changePaymentStatus matches on the current status and records history", async () => {
+  const update = mock.method(Order, "findOneAndUpdate", async () => ({ paymentStatus: "verified" }));
+
+  const result = await changePaymentStatus({ _id: "o1", paymentStatus: "under_review" }, "verified", {
+    actor: admin,
+    note: "Checked",
+    update: { "paymentInfo.transactionRef": "TX1" },
+    increment: { "paymentInfo.amountReceived": 500 },
+    match: { "paymentInfo.amountReceived": 1000 },
+  });
+
+  assert.equal(result.success, true);
+  const [filter, changes] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter, { "paymentInfo.amountReceived": 1000, _id: "o1", paymentStatus: "under_review" });
+  assert.equal(changes.$set.paymentStatus, "verified");
+  assert.equal(changes.$set["paymentInfo.transactionRef"], "TX1");
+  assert.deepEqual(changes.$inc, { "paymentInfo.amountReceived": 500 });
+  assert.equal(changes.$push.paymentHistory.from, "under_review");
+  assert.equal(changes.$push.paymentHistory.note, "Checked");
+});
+
+test("changePaymentStatus treats orders without a payment status as awaiting proof", async () => {
+  const update = mock.method(Order, "findOneAndUpdate", async () => ({}));
+
+  await changePaymentStatus({ _id: "o1" }, "under_review", { actor: admin });
+
+  assert.deepEqual(update.mock.calls[0].arguments[0].paymentStatus, { $in: ["awaiting_proof", null] });
+});
+
+test("changePaymentStatus reports a concurrent change as a conflict", async () => {
+  mock.method(Order, "findOneAndUpdate", async () => null);
+
+  const result = await changePaymentStatus({ _id: "o1", paymentStatus: "cod_pending" }, "cod_collected", { actor: admin });
+
+  assert.equal(result.success, false);
+  assert.equal(result.httpStatus, 409);
+});
+
+test("getBalanceDue never goes below zero", () => {
+  assert.equal(getBalanceDue({ totalAmount: 1500, paymentInfo: { amountReceived: 499.5 } }), 1000.5);
+  assert.equal(getBalanceDue({ totalAmount: 1500, paymentInfo: { amountReceived: 2000 } }), 0);
+  assert.equal(getBalanceDue({ totalAmount: 1500 }), 1500);
+});
+
+test("getPaymentGateError holds unverified prepaid orders but not COD", () => {
+  const prepaid = { paymentStatus: "under_review", paymentInfo: { method: "easypaisa" } };
+  assert.match(getPaymentGateError(prepaid, "dispatched"), /Verify the payment/);
+  assert.equal(getPaymentGateError(prepaid, "confirmed"), null);
+  assert.equal(getPaymentGateError({ ...prepaid, paymentStatus: "verified" }, "dispatched"), null);
+  assert.equal(getPaymentGateError({ paymentStatus: "cod_pending", paymentInfo: { method: "COD" } }, "dispatched"), null);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findPriceMismatches, roundMoney, discountedPrice } from "../utils/pricing.js";
+
+const line = (price, clientPrice) => ({ productId: "p1", name: "Frame", price, clientPrice });
+
+test("findPriceMismatches accepts prices and totals within a paisa", () => {
+  assert.deepEqual(findPriceMismatches([line(1000, 1000), line(499.99, "500")], 1500, 1499.99), []);
+});
+
+test("findPriceMismatches reports each changed line price and the total", () => {
+  const mismatches = findPriceMismatches([line(1200, 1000), line(500, 500)], 1500, 1700);
+  assert.deepEqual(mismatches, [
+    { productId: "p1", name: "Frame", field: "price", sent: 1000, expected: 1200 },
+    { field: "totalAmount", sent: 1500, expected: 1700 },
+  ]);
+});
+
+test("findPriceMismatches skips lines without a client price but always checks the total", () => {
+  assert.deepEqual(findPriceMismatches([line(1000)], undefined, 1000), [
+    { field: "totalAmount", sent: undefined, expected: 1000 },
+  ]);
+  assert.equal(findPriceMismatches([line(1000, "abc")], 1000, 1000).length, 1);
+});
+
+test("discountedPrice only applies an active discount", () => {
+  assert.equal(discountedPrice(999, { discountActive: true, discountPercentage: 15 }), 849.15);
+  assert.equal(discountedPrice(999, { discountActive: false, discountPercentage: 15 }), 999);
+  assert.equal(roundMoney("12.345"), 12.35);
+});
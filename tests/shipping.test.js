@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculateShippingFee, normalizeLocation } from "../utils/shipping.js";
+
+const zone = { flatFee: 250, freeShippingThreshold: 5000 };
+
+test("calculateShippingFee charges the flat fee below the free-shipping threshold", () => {
+  assert.deepEqual(calculateShippingFee(zone, 4200.5), {
+    fee: 250,
+    freeShippingApplied: false,
+    amountToFreeShipping: 799.5,
+  });
+});
+
+test("calculateShippingFee ships free from the threshold up", () => {
+  assert.deepEqual(calculateShippingFee(zone, 5000), { fee: 0, freeShippingApplied: true, amountToFreeShipping: 0 });
+});
+
+test("calculateShippingFee without a threshold always charges the fee", () => {
+  assert.deepEqual(calculateShippingFee({ flatFee: 150, freeShippingThreshold: null }, 100000), {
+    fee: 150,
+    freeShippingApplied: false,
+    amountToFreeShipping: null,
+  });
+  assert.equal(calculateShippingFee({ flatFee: 0, freeShippingThreshold: 0 }, 0).fee, 0);
+});
+
+test("normalizeLocation ignores case and surrounding spaces", () => {
+  assert.equal(normalizeLocation("  Lahore "), "lahore");
+  assert.equal(normalizeLocation(undefined), "");
+});
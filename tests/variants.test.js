@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { normalizeVariants, variantLabel } from "../utils/variants.js";
+
+const options = [
+  { name: "Size", values: ["8x10", "A4"] },
+  { name: "Colour", values: ["Black", "White"] },
+];
+const variant = (sku, size, colour, extra = {}) => ({ sku, options: { Size: size, Colour: colour }, ...extra });
+
+test("normalizeVariants accepts JSON strings and trims option values", () => {
+  const result = normalizeVariants({
+    options: JSON.stringify([{ name: " Size ", values: [" A4 ", "A4", "8x10"] }]),
+    variants: JSON.stringify([{ sku: " F-A4 ", options: { Size: "A4" }, price: "1500", stock: "3" }]),
+  });
+  assert.equal(result.error, undefined);
+  assert.deepEqual(result.options, [{ name: "Size", values: ["A4", "8x10"] }]);
+  assert.equal(result.variants[0].sku, "F-A4");
+  assert.equal(result.variants[0].price, 1500);
+  assert.equal(result.stockChanges[0].stock, 3);
+  assert.equal(result.stockChanges[0].isNew, true);
+});
+
+test("normalizeVariants rejects bad option names, duplicates and unknown values", () => {
+  const check = (input, pattern) => assert.match(normalizeVariants(input).error, pattern);
+  check({ options: [{ name: "a.b", values: ["x"] }], variants: [] }, /Invalid option name/);
+  check({ options: [{ name: "$size", values: ["x"] }], variants: [] }, /Invalid option name/);
+  check({ options, variants: [variant("A", "A4", "Black"), variant("a", "8x10", "White")] }, /used by more than one/);
+  check({ options, variants: [variant("A", "A4", "Black"), variant("B", "A4", "Black")] }, /same options/);
+  check({ options, variants: [variant("A", "A5", "Black")] }, /Size must be one of 8x10, A4/);
+  check({ options, variants: [variant("A", "A4", "Black", { stock: "-1" })] }, /stock must be a whole number/);
+  check({ options, variants: [variant("A", "A4", "Black", { expectedStock: "1.5" })] }, /expectedStock must be/);
+  check({ options: [], variants: [variant("A", "A4", "Black")] }, /Add options/);
+  check({ options, variants: [] }, /Add at least one variant/);
+});
+
+test("normalizeVariants keeps stored variants by id or SKU and reports removed ones", () => {
+  const kept = { _id: new mongoose.Types.ObjectId(), sku: "F-A4-BLK", stock: 4, imageUrl: "a.jpg", imagePublicId: "a" };
+  const bySku = { _id: new mongoose.Types.ObjectId(), sku: "F-A4-WHT", stock: 2, imageUrl: "", imagePublicId: "" };
+  const removed = { _id: new mongoose.Types.ObjectId(), sku: "F-810-BLK", stock: 0, imageUrl: "", imagePublicId: "" };
+
+  const result = normalizeVariants(
+    {
+      options,
+      variants: [
+        variant("F-A4-BLK", "A4", "Black", { _id: String(kept._id), stock: 6, expectedStock: 4 }),
+        variant("f-a4-wht", "A4", "White"),
+      ],
+    },
+    [kept, bySku, removed]
+  );
+
+  assert.equal(result.error, undefined);
+  assert.ok(result.variants[0]._id.equals(kept._id));
+  assert.equal(result.variants[0].imagePublicId, "a");
+  assert.ok(result.variants[1]._id.equals(bySku._id));
+  assert.deepEqual(result.removedIds, [removed._id]);
+  assert.deepEqual(result.stockChanges, [
+    { _id: kept._id, sku: "F-A4-BLK", stock: 6, expectedStock: 4, currentStock: 4, isNew: false },
+  ]);
+});
+
+test("normalizeVariants refuses an unknown variant id", () => {
+  const result = normalizeVariants({ options, variants: [variant("A", "A4", "Black", { _id: "64b0000000000000000000aa" })] });
+  assert.match(result.error, /unknown variant id/);
+});
+
+test("variantLabel lists options in the product's axis order", () => {
+  assert.equal(
+    variantLabel({ options }, { options: new Map([["Colour", "Black"], ["Size", "A4"]]) }),
+    "Size: A4 / Colour: Black"
+  );
+});
@@ -0,0 +1,208 @@
+// utils/analytics.js
+import moment from "moment-timezone";
+import Order from "../models/Order.js";
+import { parseStoreDate } from "./deliverySlots.js";
+import { roundMoney } from "./pricing.js";
+import { STORE_TIMEZONE } from "../config/store.js";
+
+export const ANALYTICS_INTERVALS = ["day", "week", "month"];
+const MAX_BUCKETS = 400;
+const TOP_LIMIT = 20;
+
+// Weeks start on Monday, matching moment's isoWeek
+const momentUnit = (interval) => (interval === "week" ? "isoWeek" : interval);
+
+// Line revenue before the order-level coupon; older orders have no stored lineTotal
+const LINE_TOTAL = { $ifNull: ["$items.lineTotal", { $multiply: ["$items.price", "$items.quantity"] }] };
+const UNITS = { $sum: "$items.quantity" };
+
+// Guest orders have no user, so fall back to the phone number to tell customers apart
+const CUSTOMER_KEY = { $ifNull: [{ $toString: "$user" }, "$customerInfo.phone"] };
+
+const salesGroup = { revenue: { $sum: "$totalAmount" }, orders: { $sum: 1 }, units: { $sum: UNITS } };
+
+const withAverage = ({ revenue = 0, orders = 0, units = 0, ...rest }) => ({
+  ...rest,
+  revenue: roundMoney(revenue),
+  orders,
+  units,
+  averageOrderValue: orders > 0 ? roundMoney(revenue / orders) : 0,
+});
+
+const percentChange = (current, previous) =>
+  previous > 0 ? roundMoney(((current - previous) / previous) * 100) : null;
+
+/**
+ * Parse and check analytics query parameters. Dates are YYYY-MM-DD in the store timezone,
+ * both inclusive; the default range is the last 30 days.
+ * @returns {Object} - { range: { start, end, interval } } or { error }
+ */
+export function parseAnalyticsRange({ from, to, interval = "day" }) {
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${ANALYTICS_INTERVALS.join(", ")}` };
+  }
+
+  const today = moment().tz(STORE_TIMEZONE);
+  const start = from ? parseStoreDate(from) : today.clone().subtract(29, "days");
+  const end = to ? parseStoreDate(to) : today.clone();
+  if (!start.isValid() || !end.isValid()) return { error: "from and to must be dates in YYYY-MM-DD format" };
+  if (end.isBefore(start, "day")) return { error: "to must be on or after from" };
+  if (end.diff(start, interval === "week" ? "weeks" : `${interval}s`) + 1 > MAX_BUCKETS) {
+    return { error: `Range is too long for ${interval} buckets. Choose a larger interval.` };
+  }
+
+  return { range: { start: start.startOf("day"), end: end.endOf("day"), interval } };
+}
+
+// Every bucket in the range, so charts get explicit zeros for quiet periods
+function emptyBuckets(start, end, interval) {
+  const buckets = [];
+  for (const cursor = start.clone().startOf(momentUnit(interval)); !cursor.isAfter(end); cursor.add(1, interval)) {
+    buckets.push(cursor.toDate().getTime());
+  }
+  return buckets;
+}
+
+async function summarizePeriod(match) {
+  const [totals] = await Order.aggregate([{ $match: match }, { $group: { _id: null, ...salesGroup } }]);
+  return withAverage(totals || {});
+}
+
+// New = first non-cancelled order ever falls inside the range; returning = ordered before it too
+async function countNewAndReturning(match, start, end) {
+  const [result] = await Order.aggregate([
+    { $match: { status: match.status, createdAt: { $lte: end } } },
+    {
+      $group: {
+        _id: CUSTOMER_KEY,
+        firstOrderAt: { $min: "$createdAt" },
+        lastOrderAt: { $max: "$createdAt" },
+      },
+    },
+    { $match: { lastOrderAt: { $gte: start } } },
+    {
+      $group: {
+        _id: null,
+        customers: { $sum: 1 },
+        newCustomers: { $sum: { $cond: [{ $gte: ["$firstOrderAt", start] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const customers = result?.customers || 0;
+  const newCustomers = result?.newCustomers || 0;
+  return { customers, newCustomers, returningCustomers: customers - newCustomers };
+}
+
+/**
+ * Sales analytics for a date range: totals, a time series and breakdowns, with the
+ * previous period of the same length for comparison. Cancelled orders are excluded.
+ * @param {Object} range - From parseAnalyticsRange
+ * @returns {Promise<Object>}
+ */
+export async function buildSalesAnalytics({ start, end, interval }) {
+  const startDate = start.toDate();
+  const endDate = end.toDate();
+  const match = { status: { $ne: "cancelled" }, createdAt: { $gte: startDate, $lte: endDate } };
+
+  const previousEnd = start.clone().subtract(1, "millisecond");
+  const previousStart = previousEnd.clone().subtract(end.diff(start, "days"), "days").startOf("day");
+  const previousMatch = { ...match, createdAt: { $gte: previousStart.toDate(), $lte: previousEnd.toDate() } };
+
+  const [[facets], previous, customers, previousCustomers] = await Promise.all([
+    Order.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...salesGroup } }],
+          timeline: [
+            {
+              $group: {
+                _id: { $dateTrunc: { date: "$createdAt", unit: interval, timezone: STORE_TIMEZONE, startOfWeek: "monday" } },
+                ...salesGroup,
+              },
+            },
+          ],
+          byPaymentMethod: [
+            { $group: { _id: { $toLower: "$paymentInfo.method" }, ...salesGroup } },
+            { $sort: { revenue: -1 } },
+          ],
+          byCity: [
+            { $group: { _id: { $toLower: { $trim: { input: { $ifNull: ["$customerInfo.city", ""] } } } }, ...salesGroup } },
+            { $sort: { revenue: -1 } },
+            { $limit: TOP_LIMIT },
+          ],
+          byCategory: [
+            { $unwind: "$items" },
+            {
+              $group: {
+                _id: { $ifNull: ["$items.category", ""] },
+                revenue: { $sum: LINE_TOTAL },
+                units: { $sum: "$items.quantity" },
+                orders: { $addToSet: "$_id" },
+              },
+            },
+            { $project: { revenue: 1, units: 1, orders: { $size: "$orders" } } },
+            { $sort: { revenue: -1 } },
+          ],
+          byProduct: [
+            { $unwind: "$items" },
+            {
+              $group: {
+                _id: "$items.productId",
+                name: { $last: "$items.name" },
+                revenue: { $sum: LINE_TOTAL },
+                units: { $sum: "$items.quantity" },
+                orders: { $addToSet: "$_id" },
+              },
+            },
+            { $project: { name: 1, revenue: 1, units: 1, orders: { $size: "$orders" } } },
+            { $sort: { revenue: -1 } },
+            { $limit: TOP_LIMIT },
+          ],
+        },
+      },
+    ]),
+    summarizePeriod(previousMatch),
+    countNewAndReturning(match, startDate, endDate),
+    countNewAndReturning(previousMatch, previousStart.toDate(), previousEnd.toDate()),
+  ]);
+
+  const totals = withAverage(facets.totals[0] || {});
+  const timelineByBucket = new Map(facets.timeline.map((bucket) => [bucket._id.getTime(), bucket]));
+  const lineRevenue = ({ _id, revenue, ...rest }) => ({ ...rest, revenue: roundMoney(revenue) });
+
+  return {
+    range: {
+      from: start.format("YYYY-MM-DD"),
+      to: end.format("YYYY-MM-DD"),
+      interval,
+      timezone: STORE_TIMEZONE,
+    },
+    totals: { ...totals, ...customers },
+    previousPeriod: {
+      from: previousStart.format("YYYY-MM-DD"),
+      to: previousEnd.format("YYYY-MM-DD"),
+      totals: { ...previous, ...previousCustomers },
+      change: {
+        revenue: percentChange(totals.revenue, previous.revenue),
+        orders: percentChange(totals.orders, previous.orders),
+        units: percentChange(totals.units, previous.units),
+        averageOrderValue: percentChange(totals.averageOrderValue, previous.averageOrderValue),
+        newCustomers: percentChange(customers.newCustomers, previousCustomers.newCustomers),
+      },
+    },
+    timeline: emptyBuckets(start, end, interval).map((time) => {
+      const { _id, ...bucket } = timelineByBucket.get(time) || {};
+      return {
+        periodStart: moment(time).tz(STORE_TIMEZONE).format("YYYY-MM-DD"),
+        ...withAverage(bucket),
+      };
+    }),
+    // Category and product revenue is line value before order-level coupons
+    byCategory: facets.byCategory.map((row) => ({ category: row._id || "uncategorized", ...lineRevenue(row) })),
+    byProduct: facets.byProduct.map((row) => ({ productId: row._id, ...lineRevenue(row) })),
+    byPaymentMethod: facets.byPaymentMethod.map(({ _id, ...row }) => ({ paymentMethod: _id || "unknown", ...withAverage(row) })),
+    byCity: facets.byCity.map(({ _id, ...row }) => ({ city: _id || "unknown", ...withAverage(row) })),
+  };
+}
@@ -0,0 +1,116 @@
+// utils/checkout.js
+import { priceOrderItems, roundMoney } from "./pricing.js";
+import { applyCouponCode, allocateCouponDiscount } from "./coupons.js";
+import { findShippingZone, calculateShippingFee, summarizeZone } from "./shipping.js";
+import { GIFT_WRAP_OPTIONS } from "./giftOptions.js";
+import { isCashOnDelivery } from "./payment.js";
+import { COD_FEE, COD_MAX_ORDER_VALUE } from "../config/store.js";
+
+// Why a total is too large for cash on delivery, or null when it's within the limit
+const getCodLimitRefusal = (total) =>
+  COD_MAX_ORDER_VALUE > 0 && total > COD_MAX_ORDER_VALUE
+    ? `Cash on delivery is available for orders up to Rs.${COD_MAX_ORDER_VALUE}. Please pay by Easypaisa or bank transfer.`
+    : null;
+
+/**
+ * Build the server-side quote for a cart: line prices, coupon discount, gift wrap, shipping and total.
+ * Shared by order creation and the public quote endpoints so they never disagree.
+ * @param {Object} cart - { items, couponCode, userId, city, province, giftWrap, paymentMethod, requireShipping }
+ *   requireShipping: false lets cart-page quotes skip shipping until an address is known
+ *   paymentMethod: "cod" adds the COD fee and checks the COD limit and zone
+ * @returns {Promise<Object>} - { success, items, coupon, shipping, pricing } or { success: false, httpStatus, message, errors }
+ */
+export async function quoteOrder({
+  items,
+  couponCode,
+  userId,
+  city,
+  province,
+  giftWrap,
+  paymentMethod,
+  requireShipping = true,
+}) {
+  const { items: catalogueItems, subtotal, errors } = await priceOrderItems(items);
+  if (errors.length > 0) {
+    return { success: false, httpStatus: 400, message: "Some items in your cart are invalid", errors };
+  }
+
+  let pricedItems = catalogueItems;
+  let coupon = null;
+  let couponDiscount = 0;
+  if (couponCode) {
+    const result = await applyCouponCode(couponCode, { items: catalogueItems, subtotal, userId });
+    if (!result.success) {
+      return { success: false, httpStatus: 400, message: result.message };
+    }
+    coupon = result.coupon;
+    couponDiscount = result.discount;
+    pricedItems = allocateCouponDiscount(coupon, catalogueItems, couponDiscount);
+  }
+
+  const merchandiseTotal = roundMoney(subtotal - couponDiscount);
+  // Free-shipping thresholds look at merchandise only, not the wrap charge
+  const giftWrapFee = roundMoney(GIFT_WRAP_OPTIONS[giftWrap]?.price || 0);
+  const isCod = isCashOnDelivery(paymentMethod);
+  const codFee = isCod ? roundMoney(COD_FEE) : 0;
+
+  if (!requireShipping && !city && !province) {
+    const total = roundMoney(merchandiseTotal + giftWrapFee + codFee);
+    const codRefusal = isCod ? getCodLimitRefusal(total) : null;
+    if (codRefusal) return { success: false, httpStatus: 400, message: codRefusal };
+
+    return {
+      success: true,
+      items: pricedItems,
+      coupon,
+      shipping: null,
+      pricing: {
+        subtotal,
+        couponDiscount,
+        giftWrapFee,
+        shippingFee: 0,
+        codFee,
+        total,
+      },
+    };
+  }
+
+  const zone = await findShippingZone({ city, province });
+  if (!zone) {
+    return {
+      success: false,
+      httpStatus: 400,
+      message: city ? `Sorry, we don't deliver to ${city} yet` : "Delivery city is required",
+    };
+  }
+  const { fee: shippingFee, freeShippingApplied, amountToFreeShipping } = calculateShippingFee(zone, merchandiseTotal);
+  const total = roundMoney(merchandiseTotal + giftWrapFee + shippingFee + codFee);
+
+  if (isCod) {
+    if (!zone.codAllowed) {
+      return { success: false, httpStatus: 400, message: `Cash on delivery isn't available in ${city || zone.name}` };
+    }
+    const codRefusal = getCodLimitRefusal(total);
+    if (codRefusal) return { success: false, httpStatus: 400, message: codRefusal };
+  }
+
+  return {
+    success: true,
+    items: pricedItems,
+    coupon,
+    shipping: {
+      ...summarizeZone(zone),
+      fee: shippingFee,
+      freeShippingApplied,
+      amountToFreeShipping,
+    },
+    pricing: {
+      subtotal,
+      couponDiscount,
+      giftWrapFee,
+      shippingFee,
+      codFee,
+      total,
+    },
+  };
+}
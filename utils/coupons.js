@@ -0,0 +1,152 @@
+// utils/coupons.js
+import mongoose from "mongoose";
+import Coupon from "../models/Coupon.js";
+import { roundMoney } from "./pricing.js";
+
+export const normalizeCouponCode = (code) => String(code || "").trim().toUpperCase();
+
+// Cart lines the coupon's product/category scope covers
+function getEligibleItems(coupon, items) {
+  const productIds = (coupon.products || []).map((id) => id.toString());
+  const categories = (coupon.categories || []).map((c) => c.toLowerCase());
+  if (productIds.length === 0 && categories.length === 0) return items;
+
+  return items.filter(
+    (item) =>
+      productIds.includes(String(item.productId)) ||
+      categories.includes(String(item.category || "").toLowerCase())
+  );
+}
+
+/**
+ * Validate a coupon against a priced cart and work out its discount.
+ * Does not count a redemption - see redeemCoupon.
+ * @param {Object} coupon - Coupon document
+ * @param {Object} cart - { items, subtotal, userId } with server-priced items
+ * @returns {Object} - { success, discount } or { success: false, message }
+ */
+export function evaluateCoupon(coupon, { items, subtotal, userId }) {
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    return { success: false, message: "This coupon code is not valid" };
+  }
+  if (coupon.startsAt && now < coupon.startsAt) {
+    return { success: false, message: "This coupon is not active yet" };
+  }
+  if (coupon.endsAt && now > coupon.endsAt) {
+    return { success: false, message: "This coupon has expired" };
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { success: false, message: "This coupon has reached its usage limit" };
+  }
+  if (coupon.perUserLimit !== null && userId) {
+    const used = coupon.redemptions.filter((r) => r.user?.toString() === String(userId)).length;
+    if (used >= coupon.perUserLimit) {
+      return { success: false, message: "You have already used this coupon" };
+    }
+  }
+  if (subtotal < (coupon.minOrderValue || 0)) {
+    return {
+      success: false,
+      message: `Add items worth Rs.${roundMoney(coupon.minOrderValue - subtotal)} more to use this coupon`,
+    };
+  }
+
+  const eligibleSubtotal = roundMoney(
+    getEligibleItems(coupon, items).reduce((sum, item) => sum + item.lineTotal, 0)
+  );
+  if (eligibleSubtotal <= 0) {
+    return { success: false, message: "This coupon doesn't apply to any item in your cart" };
+  }
+
+  let discount = coupon.discountType === "percentage"
+    ? (eligibleSubtotal * coupon.discountValue) / 100
+    : coupon.discountValue;
+  if (coupon.discountType === "percentage" && coupon.maxDiscount !== null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = roundMoney(Math.min(discount, eligibleSubtotal));
+
+  return { success: true, discount, eligibleSubtotal };
+}
+
+/**
+ * Split a coupon discount over the lines it applies to, in proportion to their totals,
+ * so refunds of a single line know what was actually paid for it.
+ * @returns {Array} - The items, each with couponDiscount (0 for lines outside the coupon's scope)
+ */
+export function allocateCouponDiscount(coupon, items, discount) {
+  const eligible = new Set(getEligibleItems(coupon, items));
+  const eligibleSubtotal = [...eligible].reduce((sum, item) => sum + item.lineTotal, 0);
+  let remaining = roundMoney(discount);
+  let eligibleLeft = eligible.size;
+
+  return items.map((item) => {
+    if (!eligible.has(item) || eligibleSubtotal <= 0) return { ...item, couponDiscount: 0 };
+    // The last eligible line takes the rounding remainder so the shares add up to the discount
+    eligibleLeft -= 1;
+    const share = eligibleLeft === 0 ? remaining : roundMoney((discount * item.lineTotal) / eligibleSubtotal);
+    remaining = roundMoney(remaining - share);
+    return { ...item, couponDiscount: share };
+  });
+}
+
+/**
+ * Look up a code and evaluate it for the cart.
+ * @returns {Promise<Object>} - { success, coupon, discount } or { success: false, message }
+ */
+export async function applyCouponCode(code, cart) {
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+  const result = evaluateCoupon(coupon, cart);
+  return result.success ? { ...result, coupon } : result;
+}
+
+/**
+ * Count a redemption. The limits are re-checked inside the update filter,
+ * so two checkouts racing for the last use cannot both succeed.
+ * @returns {Promise<boolean>} - true when the redemption was recorded
+ */
+export async function redeemCoupon(coupon, { userId, orderId, discount }) {
+  const userObjectId = userId ? new mongoose.Types.ObjectId(String(userId)) : null;
+
+  const limits = [
+    { $or: [{ $eq: ["$usageLimit", null] }, { $lt: ["$usedCount", "$usageLimit"] }] },
+  ];
+  if (userObjectId) {
+    limits.push({
+      $or: [
+        { $eq: ["$perUserLimit", null] },
+        {
+          $lt: [
+            { $size: { $filter: { input: "$redemptions", cond: { $eq: ["$$this.user", userObjectId] } } } },
+            "$perUserLimit",
+          ],
+        },
+      ],
+    });
+  }
+
+  const updated = await Coupon.findOneAndUpdate(
+    { _id: coupon._id, isActive: true, $expr: { $and: limits } },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { user: userObjectId, order: orderId, discount, redeemedAt: new Date() } },
+    },
+    { new: true }
+  );
+
+  return Boolean(updated);
+}
+
+// Undo a redemption (cancelled or failed orders); safe to call more than once
+export async function releaseCoupon(couponId, orderId) {
+  try {
+    await Coupon.updateOne(
+      { _id: couponId, "redemptions.order": orderId },
+      { $pull: { redemptions: { order: orderId } }, $inc: { usedCount: -1 } }
+    );
+  } catch (err) {
+    console.error(`❌ Failed to release coupon ${couponId}:`, err.message);
+  }
+}
@@ -0,0 +1,41 @@
+// utils/couriers/index.js
+import mockCourier from "./mockCourier.js";
+import { COURIER_MOCK_ENABLED } from "../../config/store.js";
+
+/**
+ * Courier adapters. Each one implements:
+ *   key, label
+ *   bookShipment(order) -> { consignmentNumber, trackingUrl, labelUrl }
+ *   verifyWebhook(req) -> boolean
+ *   parseWebhook(body) -> [{ consignmentNumber, status, occurredAt, location, description }]
+ * with `status` mapped onto SHIPMENT_EVENT_STATUSES. TCS, Leopards or PostEx
+ * adapters register here once their API credentials are available.
+ */
+const ADAPTERS = {};
+
+// The mock courier is for development and testing only, never on by default. Its webhook
+// can mark orders delivered and COD cash collected, so it is never left unsigned.
+if (COURIER_MOCK_ENABLED) {
+  if (!process.env.MOCK_COURIER_WEBHOOK_SECRET) {
+    throw new Error("MOCK_COURIER_WEBHOOK_SECRET must be set when COURIER_MOCK_ENABLED=true");
+  }
+  ADAPTERS[mockCourier.key] = mockCourier;
+}
+
+// Normalized shipment event statuses shared by every courier
+export const SHIPMENT_EVENT_STATUSES = [
+  "booked",
+  "picked_up",
+  "in_transit",
+  "out_for_delivery",
+  "delivered",
+  "delivery_failed",
+  "returned",
+];
+
+// Events that mean the parcel has left the store
+export const IN_TRANSIT_EVENTS = ["picked_up", "in_transit", "out_for_delivery"];
+
+export const getCourierAdapter = (key) => ADAPTERS[String(key || "").toLowerCase()] || null;
+
+export const listCouriers = () => Object.values(ADAPTERS).map(({ key, label }) => ({ key, label }));
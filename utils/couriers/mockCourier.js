@@ -0,0 +1,46 @@
+// utils/couriers/mockCourier.js
+import crypto from "crypto";
+
+/**
+ * Local courier for development and testing, registered only with COURIER_MOCK_ENABLED=true.
+ * Booking returns made-up consignment numbers; events are posted to the webhook in the
+ * normalized shape:
+ * { consignmentNumber, status, occurredAt, location, description }
+ */
+const mockCourier = {
+  key: "mock",
+  label: "Mock Courier (development)",
+
+  async bookShipment(order) {
+    const consignmentNumber = `MOCK${Date.now().toString().slice(-8)}${crypto.randomInt(100, 999)}`;
+    const FRONTEND_URL = process.env.FRONTEND_URL || "https://thegiftoasis.store";
+    return {
+      consignmentNumber,
+      trackingUrl: `${FRONTEND_URL}/track-order?consignment=${consignmentNumber}`,
+      labelUrl: `${FRONTEND_URL}/mock-labels/${order.orderNumber}.pdf`,
+    };
+  },
+
+  // Shared secret in a header; without a configured secret every event is refused
+  verifyWebhook(req) {
+    const secret = process.env.MOCK_COURIER_WEBHOOK_SECRET;
+    if (!secret) return false;
+    const sent = Buffer.from(String(req.get("x-webhook-secret") || ""));
+    const expected = Buffer.from(secret);
+    return sent.length === expected.length && crypto.timingSafeEqual(sent, expected);
+  },
+
+  // Accept one event or { events: [...] }
+  parseWebhook(body) {
+    const events = Array.isArray(body?.events) ? body.events : [body];
+    return events.map((event) => ({
+      consignmentNumber: event?.consignmentNumber,
+      status: event?.status,
+      occurredAt: event?.occurredAt,
+      location: event?.location,
+      description: event?.description,
+    }));
+  },
+};
+
+export default mockCourier;
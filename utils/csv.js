@@ -0,0 +1,64 @@
+// utils/csv.js
+
+// "Order Number", "order_number" and "orderNumber" all become "ordernumber"
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s_-]+/g, "");
+
+/**
+ * Parse CSV text (RFC 4180 quoting, comma separated) into one object per row,
+ * keyed by normalized header names. Blank lines are skipped.
+ * @param {string} text - CSV file contents
+ * @returns {Array<Object>} - Rows, each with a `line` number for error reports
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [headerRow, ...rows] = records;
+  if (!headerRow) return [];
+  const headers = headerRow.map(normalizeHeader);
+
+  return rows
+    .map((cells, index) => ({ cells, line: index + 2 }))
+    .filter(({ cells }) => cells.some((cell) => cell.trim()))
+    .map(({ cells, line }) => {
+      const row = { line };
+      headers.forEach((header, i) => {
+        if (header) row[header] = (cells[i] || "").trim();
+      });
+      return row;
+    });
+}
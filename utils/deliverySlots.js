@@ -0,0 +1,165 @@
+// utils/deliverySlots.js
+import moment from "moment-timezone";
+import DeliverySlot from "../models/DeliverySlot.js";
+import DeliveryBlackout from "../models/DeliveryBlackout.js";
+import DeliverySlotBooking from "../models/DeliverySlotBooking.js";
+import { STORE_TIMEZONE } from "../config/store.js";
+
+export const MAX_SLOT_RANGE_DAYS = 31;
+const DATE_FORMAT = "YYYY-MM-DD";
+
+export const parseStoreDate = (value) => moment.tz(value, DATE_FORMAT, true, STORE_TIMEZONE);
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+const zoneCapacityFor = (slot, zoneId) =>
+  slot.zoneCapacities.find((entry) => sameId(entry.zone, zoneId))?.capacity ?? null;
+
+/**
+ * Why a slot can't be booked on a date, ignoring capacity.
+ * @returns {string|null} - Reason, or null when the slot is open
+ */
+function getSlotClosedReason(slot, date, now) {
+  if (!slot.daysOfWeek.includes(date.day())) return "No deliveries in this slot on this day";
+
+  const today = now.clone().startOf("day");
+  if (date.isBefore(today)) return "Date has passed";
+  if (date.isSame(today, "day")) {
+    if (!slot.sameDayCutoff) return "Same-day delivery is not available for this slot";
+    const cutoff = moment.tz(`${date.format(DATE_FORMAT)} ${slot.sameDayCutoff}`, "YYYY-MM-DD HH:mm", STORE_TIMEZONE);
+    if (now.isAfter(cutoff)) return `Same-day orders for this slot close at ${slot.sameDayCutoff}`;
+  }
+  return null;
+}
+
+const findBlackout = (blackouts, date, zoneId) =>
+  blackouts.find((b) => b.date === date && (!b.zone || sameId(b.zone, zoneId)));
+
+/**
+ * Slot availability for every day in a range.
+ * @param {Object} options - { from, to } as YYYY-MM-DD strings, zoneId of the delivery address
+ * @returns {Promise<Array>} - One entry per day: { date, closed, reason, slots: [{ key, label, remaining, available }] }
+ */
+export async function getAvailableSlots({ from, to, zoneId }) {
+  const start = parseStoreDate(from);
+  const end = parseStoreDate(to);
+  const now = moment().tz(STORE_TIMEZONE);
+
+  const [slots, blackouts, bookings] = await Promise.all([
+    DeliverySlot.find({ isActive: true }).sort({ sortOrder: 1, startTime: 1 }),
+    DeliveryBlackout.find({ date: { $gte: from, $lte: to } }),
+    DeliverySlotBooking.find({ date: { $gte: from, $lte: to }, zone: { $in: zoneId ? [null, zoneId] : [null] } }),
+  ]);
+
+  const bookedCount = (date, slotKey, zone) =>
+    bookings.find((b) => b.date === date && b.slot === slotKey && (zone ? sameId(b.zone, zone) : !b.zone))?.booked || 0;
+
+  const days = [];
+  for (const day = start.clone(); !day.isAfter(end); day.add(1, "day")) {
+    const date = day.format(DATE_FORMAT);
+    const blackout = findBlackout(blackouts, date, zoneId);
+    if (blackout) {
+      days.push({ date, closed: true, reason: blackout.reason || "No deliveries on this day", slots: [] });
+      continue;
+    }
+
+    days.push({
+      date,
+      closed: false,
+      slots: slots.map((slot) => {
+        const closedReason = getSlotClosedReason(slot, day, now);
+        let remaining = slot.capacity - bookedCount(date, slot.key, null);
+        const zoneCapacity = zoneCapacityFor(slot, zoneId);
+        if (zoneCapacity !== null) {
+          remaining = Math.min(remaining, zoneCapacity - bookedCount(date, slot.key, zoneId));
+        }
+        remaining = Math.max(remaining, 0);
+
+        return {
+          key: slot.key,
+          label: slot.label,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          remaining: closedReason ? 0 : remaining,
+          available: !closedReason && remaining > 0,
+          ...(closedReason ? { reason: closedReason } : remaining === 0 ? { reason: "Fully booked" } : {}),
+        };
+      }),
+    });
+  }
+
+  return days;
+}
+
+// Take one place on a counter if it's below capacity. The upsert also collides (11000)
+// when two first bookings race to create the counter, so that case retries once without
+// upserting: the counter exists by then and only a full one fails the match.
+async function incrementCounter(date, slotKey, zone, capacity) {
+  if (capacity <= 0) return false;
+  const filter = { date, slot: slotKey, zone, booked: { $lt: capacity } };
+  try {
+    const counter = await DeliverySlotBooking.findOneAndUpdate(filter, { $inc: { booked: 1 } }, { upsert: true, new: true });
+    return Boolean(counter);
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const counter = await DeliverySlotBooking.findOneAndUpdate(filter, { $inc: { booked: 1 } }, { new: true });
+    return Boolean(counter);
+  }
+}
+
+const decrementCounter = (date, slotKey, zone) =>
+  DeliverySlotBooking.updateOne({ date, slot: slotKey, zone, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+
+/**
+ * Atomically book one order into a delivery slot.
+ * @param {Object} options - { date, slotKey, zoneId }
+ * @returns {Promise<Object>} - { success, slot } or { success: false, httpStatus, message }
+ */
+export async function claimDeliverySlot({ date, slotKey, zoneId }) {
+  const day = parseStoreDate(date);
+  if (!day.isValid()) {
+    return { success: false, httpStatus: 400, message: "Delivery date must be in YYYY-MM-DD format" };
+  }
+
+  const slot = await DeliverySlot.findOne({ key: slotKey, isActive: true });
+  if (!slot) {
+    return { success: false, httpStatus: 400, message: `Unknown delivery time slot: ${slotKey}` };
+  }
+
+  const blackout = await DeliveryBlackout.findOne({ date, zone: { $in: [null, zoneId || null] } });
+  if (blackout) {
+    return { success: false, httpStatus: 409, message: blackout.reason || `We don't deliver on ${date}` };
+  }
+
+  const closedReason = getSlotClosedReason(slot, day, moment().tz(STORE_TIMEZONE));
+  if (closedReason) {
+    return { success: false, httpStatus: 409, message: closedReason };
+  }
+
+  const fullMessage = `The ${slot.label} slot on ${date} is fully booked. Please choose another time.`;
+
+  if (!(await incrementCounter(date, slot.key, null, slot.capacity))) {
+    return { success: false, httpStatus: 409, message: fullMessage };
+  }
+
+  const zoneCapacity = zoneCapacityFor(slot, zoneId);
+  if (zoneCapacity !== null && !(await incrementCounter(date, slot.key, zoneId, zoneCapacity))) {
+    await decrementCounter(date, slot.key, null);
+    return { success: false, httpStatus: 409, message: fullMessage };
+  }
+
+  return { success: true, slot };
+}
+
+// Give a booked place back (cancelled or failed orders)
+export async function releaseDeliverySlot({ date, slotKey, zoneId }) {
+  try {
+    await decrementCounter(date, slotKey, null);
+    const slot = await DeliverySlot.findOne({ key: slotKey });
+    if (slot && zoneCapacityFor(slot, zoneId) !== null) {
+      await decrementCounter(date, slotKey, zoneId);
+    }
+  } catch (err) {
+    console.error(`❌ Failed to release delivery slot ${slotKey} on ${date}:`, err.message);
+  }
+}
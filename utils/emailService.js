@@ -1,4 +1,6 @@
 import dotenv from 'dotenv';
+import { GIFT_WRAP_OPTIONS } from './giftOptions.js';
+import { STORE_TIMEZONE } from '../config/store.js';
 
 dotenv.config();
 
@@ -51,7 +53,7 @@ const sendEmailViaBrevo = async (emailData) => {
 // Send order notification email to admin
 export const sendOrderNotificationEmail = async (orderData) => {
   try {
-    const { orderNumber, customerInfo, items, totalAmount, paymentInfo, createdAt } = orderData;
+    const { orderNumber, customerInfo, items, totalAmount, paymentInfo, createdAt, coupon, shipping, gift, pricing } = orderData;
 
     // Format order items for email with category
     const itemsList = items
@@ -69,6 +71,28 @@ export const sendOrderNotificationEmail = async (orderData) => {
       )
       .join("");
 
+    // Gift details for the packing team
+    const giftHTML = gift?.isGift
+      ? `
+              <div class="customer-info" style="border-left: 4px solid #9c27b0;">
+                <h3>🎁 Gift Order</h3>
+                <p><strong>Recipient:</strong> ${gift.recipient.name} (${gift.recipient.phone})</p>
+                <p><strong>Deliver To:</strong> ${gift.recipient.address ? `${gift.recipient.address}, ${gift.recipient.city}` : "Buyer's address"}</p>
+                <p><strong>Gift Wrap:</strong> ${GIFT_WRAP_OPTIONS[gift.wrap?.option]?.label || gift.wrap?.option}${gift.wrap?.price ? ` (Rs.${gift.wrap.price.toFixed(2)})` : ""}</p>
+                ${gift.delivery?.date ? `<p><strong>Preferred Delivery:</strong> ${gift.delivery.date}${gift.delivery.timeSlot ? ` - ${gift.delivery.timeSlotLabel || gift.delivery.timeSlot}` : ""}</p>` : ""}
+                ${gift.message ? `<p><strong>Message Card:</strong></p><p style="white-space: pre-wrap; font-style: italic;">${gift.message}</p>` : ""}
+                <p style="color: #9c27b0;"><em>Gift order - do not include prices in the parcel.</em></p>
+              </div>`
+      : "";
+    const giftText = gift?.isGift
+      ? `
+Gift Order (do not include prices in the parcel):
+Recipient: ${gift.recipient.name} (${gift.recipient.phone})
+Deliver To: ${gift.recipient.address ? `${gift.recipient.address}, ${gift.recipient.city}` : "Buyer's address"}
+Gift Wrap: ${GIFT_WRAP_OPTIONS[gift.wrap?.option]?.label || gift.wrap?.option}
+${gift.delivery?.date ? `Preferred Delivery: ${gift.delivery.date}${gift.delivery.timeSlot ? ` - ${gift.delivery.timeSlotLabel || gift.delivery.timeSlot}` : ""}\n` : ""}${gift.message ? `Message Card: ${gift.message}\n` : ""}`
+      : "";
+
     const emailHTML = `
       <!DOCTYPE html>
       <html>
@@ -96,7 +120,7 @@ export const sendOrderNotificationEmail = async (orderData) => {
             <div class="content">
               <div class="order-info">
                 <h2>Order Number: ${orderNumber}</h2>
-                <p><strong>Date:</strong> ${new Date(createdAt).toLocaleString("en-PK", { timeZone: "Asia/Karachi" })}</p>
+                <p><strong>Date:</strong> ${new Date(createdAt).toLocaleString("en-PK", { timeZone: STORE_TIMEZONE })}</p>
                 <p><strong>Status:</strong> <span style="color: #ff9800; font-weight: bold;">Pending</span></p>
               </div>
 
@@ -105,9 +129,11 @@ export const sendOrderNotificationEmail = async (orderData) => {
                 <p><strong>Name:</strong> ${customerInfo.name}</p>
                 <p><strong>Phone:</strong> ${customerInfo.phone}</p>
                 ${customerInfo.email ? `<p><strong>Email:</strong> ${customerInfo.email}</p>` : ""}
-                <p><strong>Address:</strong> ${customerInfo.address}</p>
+                <p><strong>Address:</strong> ${customerInfo.address}${customerInfo.city ? `, ${customerInfo.city}` : ""}</p>
               </div>
 
+              ${giftHTML}
+
               <div class="customer-info">
                 <h3>💳 Payment Information</h3>
                 <p><strong>Payment Method:</strong> ${paymentInfo.method.toUpperCase()}</p>
@@ -129,6 +155,9 @@ export const sendOrderNotificationEmail = async (orderData) => {
                     ${itemsList}
                   </tbody>
                 </table>
+                ${shipping ? `<p style="text-align: right;">Delivery (${shipping.zoneName}): ${shipping.fee > 0 ? `Rs.${shipping.fee.toFixed(2)}` : "FREE"}</p>` : ""}
+                ${pricing?.codFee > 0 ? `<p style="text-align: right;">Cash on Delivery Fee: Rs.${pricing.codFee.toFixed(2)}</p>` : ""}
+                ${coupon?.code ? `<p style="text-align: right;">Coupon (${coupon.code}): -Rs.${coupon.discount.toFixed(2)}</p>` : ""}
                 <div class="total">
                   Total Amount: Rs.${totalAmount.toFixed(2)}
                 </div>
@@ -161,15 +190,16 @@ export const sendOrderNotificationEmail = async (orderData) => {
 New Order Received!
 
 Order Number: ${orderNumber}
-Date: ${new Date(createdAt).toLocaleString("en-PK", { timeZone: "Asia/Karachi" })}
+Date: ${new Date(createdAt).toLocaleString("en-PK", { timeZone: STORE_TIMEZONE })}
 Status: Pending
 
 Customer Information:
 Name: ${customerInfo.name}
 Phone: ${customerInfo.phone}
 ${customerInfo.email ? `Email: ${customerInfo.email}` : ""}
-Address: ${customerInfo.address}
+Address: ${customerInfo.address}${customerInfo.city ? `, ${customerInfo.city}` : ""}
 
+${giftText}
 Payment Information:
 Payment Method: ${paymentInfo.method.toUpperCase()}
 ${paymentInfo.screenshotUrl ? `Screenshot: ${paymentInfo.screenshotUrl}` : ""}
@@ -177,7 +207,7 @@ ${paymentInfo.screenshotUrl ? `Screenshot: ${paymentInfo.screenshotUrl}` : ""}
 Order Items:
 ${items.map((item) => `${item.name}${item.category ? ` [${item.category}]` : ''} x ${item.quantity} = Rs.${(item.price * item.quantity).toFixed(2)}`).join("\n")}
 
-Total Amount: Rs.${totalAmount.toFixed(2)}
+${shipping ? `Delivery (${shipping.zoneName}): ${shipping.fee > 0 ? `Rs.${shipping.fee.toFixed(2)}` : "FREE"}\n` : ""}${pricing?.codFee > 0 ? `Cash on Delivery Fee: Rs.${pricing.codFee.toFixed(2)}\n` : ""}${coupon?.code ? `Coupon (${coupon.code}): -Rs.${coupon.discount.toFixed(2)}\n` : ""}Total Amount: Rs.${totalAmount.toFixed(2)}
 
 Please process this order as soon as possible.
       `.trim()
@@ -202,7 +232,8 @@ Please process this order as soon as possible.
 // Send order confirmation email to customer
 export const sendOrderConfirmationEmail = async (orderData) => {
   try {
-    const { orderNumber, customerInfo, items, totalAmount, paymentInfo, createdAt } = orderData;
+    const { orderNumber, customerInfo, items, totalAmount, paymentInfo, createdAt, coupon, shipping, pricing, trackingToken, invoicePdf } = orderData;
+    const isCod = paymentInfo.method === 'cod';
 
     // Check if customer has email
     if (!customerInfo.email) {
@@ -210,6 +241,9 @@ export const sendOrderConfirmationEmail = async (orderData) => {
       return { success: false, error: "Customer email not provided" };
     }
 
+    const FRONTEND_URL = process.env.FRONTEND_URL || "https://thegiftoasis.store";
+    const trackingLink = trackingToken ? `${FRONTEND_URL}/track-order?token=${trackingToken}` : null;
+
     // Format order items for email with category
     const itemsList = items
       .map(
@@ -261,7 +295,7 @@ export const sendOrderConfirmationEmail = async (orderData) => {
               <div class="order-info">
                 <h2>📋 Order Details</h2>
                 <p><strong>Order Number:</strong> <span class="highlight">${orderNumber}</span></p>
-                <p><strong>Order Date:</strong> ${new Date(createdAt).toLocaleString("en-PK", { timeZone: "Asia/Karachi" })}</p>
+                <p><strong>Order Date:</strong> ${new Date(createdAt).toLocaleString("en-PK", { timeZone: STORE_TIMEZONE })}</p>
                 <p><strong>Status:</strong> <span style="color: #ff9800; font-weight: bold;">Pending Confirmation</span></p>
               </div>
 
@@ -269,14 +303,16 @@ export const sendOrderConfirmationEmail = async (orderData) => {
                 <h3>👤 Delivery Information</h3>
                 <p><strong>Name:</strong> ${customerInfo.name}</p>
                 <p><strong>Phone:</strong> ${customerInfo.phone}</p>
-                <p><strong>Delivery Address:</strong> ${customerInfo.address}</p>
+                <p><strong>Delivery Address:</strong> ${customerInfo.address}${customerInfo.city ? `, ${customerInfo.city}` : ""}</p>
               </div>
 
               <div class="info-box">
                 <h3>💳 Payment Information</h3>
                 <p><strong>Payment Method:</strong> ${paymentInfo.method.toUpperCase()}</p>
                 <p style="color: #666; font-size: 14px; margin-top: 10px;">
-                  <em>Please ensure your payment has been completed. Our team will verify and confirm your order shortly.</em>
+                  <em>${isCod
+                    ? `Please keep Rs.${totalAmount.toFixed(2)} in cash ready for the rider when your order arrives.`
+                    : "Please ensure your payment has been completed. Our team will verify and confirm your order shortly."}</em>
                 </p>
               </div>
 
@@ -295,6 +331,9 @@ export const sendOrderConfirmationEmail = async (orderData) => {
                     ${itemsList}
                   </tbody>
                 </table>
+                ${shipping ? `<p style="text-align: right;">Delivery (${shipping.zoneName}): ${shipping.fee > 0 ? `Rs.${shipping.fee.toFixed(2)}` : "FREE"}</p>` : ""}
+                ${pricing?.codFee > 0 ? `<p style="text-align: right;">Cash on Delivery Fee: Rs.${pricing.codFee.toFixed(2)}</p>` : ""}
+                ${coupon?.code ? `<p style="text-align: right;">Coupon (${coupon.code}): -Rs.${coupon.discount.toFixed(2)}</p>` : ""}
                 <div class="total">
                   Total Amount: Rs.${totalAmount.toFixed(2)}
                 </div>
@@ -307,6 +346,7 @@ export const sendOrderConfirmationEmail = async (orderData) => {
                   <li>You will receive a confirmation call or message once your order is confirmed</li>
                   <li>Your order will be processed and dispatched as soon as possible</li>
                   <li>You can track your order status using your order number: <strong>${orderNumber}</strong></li>
+                  ${trackingLink ? `<li><a href="${trackingLink}" target="_blank">Track your order online</a></li>` : ""}
                 </ul>
               </div>
 
@@ -334,6 +374,8 @@ export const sendOrderConfirmationEmail = async (orderData) => {
       ],
       subject: `✅ Order Confirmation - ${orderNumber} | The Gift Oasis`,
       htmlContent: emailHTML,
+      // Invoice PDF (Buffer) from utils/orderPdf.js, sent base64-encoded as Brevo expects
+      ...(invoicePdf ? { attachment: [{ content: invoicePdf.toString('base64'), name: `invoice-${orderNumber}.pdf` }] } : {}),
       textContent: `
 ✅ Order Successfully Received!
 
@@ -341,30 +383,32 @@ Thank you for your order! Your order has been successfully received and is being
 
 Order Details:
 Order Number: ${orderNumber}
-Order Date: ${new Date(createdAt).toLocaleString("en-PK", { timeZone: "Asia/Karachi" })}
+Order Date: ${new Date(createdAt).toLocaleString("en-PK", { timeZone: STORE_TIMEZONE })}
 Status: Pending Confirmation
 
 Delivery Information:
 Name: ${customerInfo.name}
 Phone: ${customerInfo.phone}
-Delivery Address: ${customerInfo.address}
+Delivery Address: ${customerInfo.address}${customerInfo.city ? `, ${customerInfo.city}` : ""}
 
 Payment Information:
 Payment Method: ${paymentInfo.method.toUpperCase()}
 
-Please ensure your payment has been completed. Our team will verify and confirm your order shortly.
+${isCod
+  ? `Please keep Rs.${totalAmount.toFixed(2)} in cash ready for the rider when your order arrives.`
+  : "Please ensure your payment has been completed. Our team will verify and confirm your order shortly."}
 
 Your Order Items:
 ${items.map((item) => `${item.name}${item.category ? ` [${item.category}]` : ''} x ${item.quantity} = Rs.${(item.price * item.quantity).toFixed(2)}`).join("\n")}
 
-Total Amount: Rs.${totalAmount.toFixed(2)}
+${shipping ? `Delivery (${shipping.zoneName}): ${shipping.fee > 0 ? `Rs.${shipping.fee.toFixed(2)}` : "FREE"}\n` : ""}${pricing?.codFee > 0 ? `Cash on Delivery Fee: Rs.${pricing.codFee.toFixed(2)}\n` : ""}${coupon?.code ? `Coupon (${coupon.code}): -Rs.${coupon.discount.toFixed(2)}\n` : ""}Total Amount: Rs.${totalAmount.toFixed(2)}
 
 What's Next?
 - Our team will review your order and payment
 - You will receive a confirmation call or message once your order is confirmed
 - Your order will be processed and dispatched as soon as possible
 - You can track your order status using your order number: ${orderNumber}
-
+${trackingLink ? `- Track your order online: ${trackingLink}\n` : ""}
 Thank you for shopping with The Gift Oasis!
 We appreciate your business.
 
@@ -388,6 +432,387 @@ If you have any questions, please contact us.
   }
 };
 
+// Customer-facing copy for each status that triggers an update email
+const STATUS_EMAIL_CONTENT = {
+  confirmed: {
+    emoji: "✅",
+    title: "Your Order is Confirmed",
+    color: "#4CAF50",
+    message: "Great news! We've verified your order and it's now being prepared with care.",
+  },
+  dispatched: {
+    emoji: "🚚",
+    title: "Your Order is On Its Way",
+    color: "#2196F3",
+    message: "Your order has left our store and is on its way to you.",
+  },
+  delivered: {
+    emoji: "🎁",
+    title: "Your Order has been Delivered",
+    color: "#ff6b9d",
+    message: "Your order has been delivered. We hope it brings a big smile!",
+  },
+  cancelled: {
+    emoji: "❌",
+    title: "Your Order has been Cancelled",
+    color: "#f44336",
+    message: "Your order has been cancelled.",
+  },
+};
+
+// Send order status update email to customer (confirmed, dispatched, delivered, cancelled)
+export const sendOrderStatusUpdateEmail = async (orderData) => {
+  try {
+    const { orderNumber, customerInfo, items, totalAmount, status, shipment, cancellationReason } = orderData;
+    const content = STATUS_EMAIL_CONTENT[status];
+
+    if (!content) {
+      return { success: false, error: `No customer email for status: ${status}` };
+    }
+
+    if (!customerInfo?.email) {
+      console.log("⚠️ Customer email not provided, skipping status update email");
+      return { success: false, error: "Customer email not provided" };
+    }
+
+    const FRONTEND_URL = process.env.FRONTEND_URL || "https://thegiftoasis.store";
+
+    let detailsHTML = "";
+    let detailsText = "";
+
+    if (status === "dispatched" && (shipment?.courier || shipment?.trackingNumber)) {
+      detailsHTML = `
+              <div class="info-box">
+                <h3>📦 Shipping Details</h3>
+                ${shipment.courier ? `<p><strong>Courier:</strong> ${shipment.courier}</p>` : ""}
+                ${shipment.trackingNumber ? `<p><strong>Tracking Number:</strong> ${shipment.trackingNumber}</p>` : ""}
+                ${shipment.trackingUrl ? `<p><a href="${shipment.trackingUrl}" target="_blank">Track your parcel</a></p>` : ""}
+              </div>`;
+      detailsText = [
+        "Shipping Details:",
+        shipment.courier ? `Courier: ${shipment.courier}` : "",
+        shipment.trackingNumber ? `Tracking Number: ${shipment.trackingNumber}` : "",
+        shipment.trackingUrl ? `Track your parcel: ${shipment.trackingUrl}` : "",
+      ].filter(Boolean).join("\n");
+    }
+
+    if (status === "delivered") {
+      const reviewItems = items.filter((item) => item.productId);
+      const productId = (item) => item.productId?._id || item.productId;
+      detailsHTML = `
+              <div class="info-box">
+                <h3>⭐ How did we do?</h3>
+                <p>We'd love to hear what you think. Leave a quick review for the products you received:</p>
+                <ul>
+                  ${reviewItems.map((item) => `<li><a href="${FRONTEND_URL}/product/${productId(item)}" target="_blank">${item.name}</a></li>`).join("")}
+                </ul>
+              </div>`;
+      detailsText = [
+        "How did we do? Leave a quick review for the products you received:",
+        ...reviewItems.map((item) => `- ${item.name}: ${FRONTEND_URL}/product/${productId(item)}`),
+      ].join("\n");
+    }
+
+    if (status === "cancelled") {
+      detailsHTML = `
+              <div class="info-box">
+                <h3>ℹ️ Cancellation Details</h3>
+                ${cancellationReason ? `<p><strong>Reason:</strong> ${cancellationReason}</p>` : ""}
+                <p>If you already paid for this order, our team will contact you about your refund.</p>
+              </div>`;
+      detailsText = [
+        cancellationReason ? `Reason: ${cancellationReason}` : "",
+        "If you already paid for this order, our team will contact you about your refund.",
+      ].filter(Boolean).join("\n");
+    }
+
+    const emailHTML = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: ${content.color}; color: white; padding: 30px; border-radius: 10px 10px 0 0; text-align: center; }
+            .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 10px 10px; }
+            .order-info { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; border-left: 4px solid ${content.color}; }
+            .info-box { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${content.emoji} ${content.title}</h1>
+            </div>
+            <div class="content">
+              <div class="order-info">
+                <p>Hi ${customerInfo.name || "there"},</p>
+                <p>${content.message}</p>
+                <p><strong>Order Number:</strong> ${orderNumber}</p>
+                <p><strong>Order Total:</strong> Rs.${totalAmount.toFixed(2)}</p>
+              </div>
+              ${detailsHTML}
+              <div class="footer">
+                <p><strong>The Gift Oasis</strong></p>
+                <p style="font-size: 11px; color: #999;">If you have any questions, please contact us.</p>
+              </div>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const emailData = {
+      sender: {
+        name: "The Gift Oasis",
+        email: process.env.EMAIL_FROM || "thegiftoasis31@gmail.com"
+      },
+      to: [
+        {
+          email: customerInfo.email,
+          name: customerInfo.name || "Customer"
+        }
+      ],
+      subject: `${content.emoji} ${content.title} - ${orderNumber} | The Gift Oasis`,
+      htmlContent: emailHTML,
+      textContent: `
+${content.title}
+
+Hi ${customerInfo.name || "there"},
+
+${content.message}
+
+Order Number: ${orderNumber}
+Order Total: Rs.${totalAmount.toFixed(2)}
+
+${detailsText}
+
+Thank you for shopping with The Gift Oasis!
+If you have any questions, please contact us.
+      `.trim()
+    };
+
+    const result = await sendEmailViaBrevo(emailData);
+
+    if (result.success) {
+      console.log(`✅ Order ${status} email sent to customer:`, result.messageId);
+    } else {
+      console.error(`❌ Error sending order ${status} email to customer:`, result.error);
+    }
+
+    return result;
+  } catch (error) {
+    console.error("❌ Error sending order status update email:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Human-readable names for delivery-detail fields in admin emails
+const ORDER_FIELD_LABELS = {
+  "customerInfo.name": "Customer name",
+  "customerInfo.phone": "Customer phone",
+  "customerInfo.address": "Delivery address",
+  "gift.recipient.name": "Recipient name",
+  "gift.recipient.phone": "Recipient phone",
+  "gift.recipient.address": "Recipient address",
+  "gift.message": "Gift message",
+};
+
+// Send admin notification when a customer cancels or edits their own order
+export const sendOrderChangeNotificationEmail = async (changeData) => {
+  try {
+    const { orderNumber, customerInfo, action, reason, changes = [] } = changeData;
+    const cancelled = action === "cancelled";
+    const title = cancelled ? "Order Cancelled by Customer" : "Order Details Updated by Customer";
+
+    const changesList = changes
+      .map(
+        (change) =>
+          `<tr>
+            <td style="padding: 8px; border: 1px solid #ddd;">${ORDER_FIELD_LABELS[change.field] || change.field}</td>
+            <td style="padding: 8px; border: 1px solid #ddd;">${change.from || "-"}</td>
+            <td style="padding: 8px; border: 1px solid #ddd;">${change.to || "-"}</td>
+          </tr>`
+      )
+      .join("");
+
+    const emailHTML = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: ${cancelled ? "#f44336" : "#ff9800"}; color: white; padding: 20px; border-radius: 10px 10px 0 0; text-align: center; }
+            .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 10px 10px; }
+            .order-info { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; border-left: 4px solid ${cancelled ? "#f44336" : "#ff9800"}; }
+            table { width: 100%; border-collapse: collapse; margin: 15px 0; background: white; }
+            th { background: #ff6b9d; color: white; padding: 12px; text-align: left; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${cancelled ? "❌" : "✏️"} ${title}</h1>
+            </div>
+            <div class="content">
+              <div class="order-info">
+                <h2>Order Number: ${orderNumber}</h2>
+                <p><strong>Customer:</strong> ${customerInfo.name} (${customerInfo.phone})</p>
+                ${cancelled && reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ""}
+                ${cancelled ? "<p>Stock has been returned to inventory automatically.</p>" : ""}
+              </div>
+              ${changes.length > 0 ? `
+              <table>
+                <thead>
+                  <tr><th>Field</th><th>Before</th><th>After</th></tr>
+                </thead>
+                <tbody>${changesList}</tbody>
+              </table>` : ""}
+              <div class="footer">
+                <p>This is an automated notification from The Gift Oasis.</p>
+              </div>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const emailData = {
+      sender: {
+        name: "The Gift Oasis",
+        email: process.env.EMAIL_FROM || "thegiftoasis31@gmail.com"
+      },
+      to: [
+        {
+          email: process.env.ADMIN_EMAIL || "thegiftoasis31@gmail.com",
+          name: "Admin"
+        }
+      ],
+      subject: `${cancelled ? "❌" : "✏️"} ${title} - ${orderNumber}`,
+      htmlContent: emailHTML,
+      textContent: `
+${title}
+
+Order Number: ${orderNumber}
+Customer: ${customerInfo.name} (${customerInfo.phone})
+${cancelled && reason ? `Reason: ${reason}\n` : ""}${cancelled ? "Stock has been returned to inventory automatically.\n" : ""}
+${changes.map((change) => `${ORDER_FIELD_LABELS[change.field] || change.field}: "${change.from || "-"}" -> "${change.to || "-"}"`).join("\n")}
+      `.trim()
+    };
+
+    const result = await sendEmailViaBrevo(emailData);
+
+    if (result.success) {
+      console.log("✅ Order change notification email sent:", result.messageId);
+    } else {
+      console.error("❌ Error sending order change notification email:", result.error);
+    }
+
+    return result;
+  } catch (error) {
+    console.error("❌ Error sending order change notification email:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send low-stock / out-of-stock alerts to admin (one alert, or a daily digest)
+export const sendStockAlertEmail = async ({ alerts, digest = false }) => {
+  try {
+    const outOfStock = alerts.filter((alert) => alert.level === "out_of_stock").length;
+    const title = digest
+      ? `Daily Stock Alert Digest (${alerts.length} product${alerts.length === 1 ? "" : "s"})`
+      : `${alerts[0].level === "out_of_stock" ? "Out of Stock" : "Low Stock"}: ${alerts[0].productName}`;
+
+    const alertRows = alerts
+      .map(
+        (alert) =>
+          `<tr>
+            <td style="padding: 8px; border: 1px solid #ddd;">${alert.productName}</td>
+            <td style="padding: 8px; border: 1px solid #ddd; color: ${alert.level === "out_of_stock" ? "#f44336" : "#ff9800"};">${alert.level === "out_of_stock" ? "Out of stock" : "Low stock"}</td>
+            <td style="padding: 8px; border: 1px solid #ddd; text-align: center;">${alert.stock} / ${alert.lowStockThreshold}</td>
+            <td style="padding: 8px; border: 1px solid #ddd; text-align: center;">${alert.unitsPerDay}</td>
+            <td style="padding: 8px; border: 1px solid #ddd; text-align: center;"><strong>${alert.suggestedReorder}</strong></td>
+          </tr>`
+      )
+      .join("");
+
+    const emailHTML = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: ${outOfStock > 0 ? "#f44336" : "#ff9800"}; color: white; padding: 20px; border-radius: 10px 10px 0 0; text-align: center; }
+            .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 10px 10px; }
+            table { width: 100%; border-collapse: collapse; margin: 15px 0; background: white; }
+            th { background: #ff6b9d; color: white; padding: 12px; text-align: left; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>📉 ${title}</h1>
+            </div>
+            <div class="content">
+              <table>
+                <thead>
+                  <tr><th>Product</th><th>Level</th><th>Stock / Threshold</th><th>Sold per Day</th><th>Reorder</th></tr>
+                </thead>
+                <tbody>${alertRows}</tbody>
+              </table>
+              <p style="color: #666; font-size: 13px;">Suggested reorder quantities cover recent daily sales and bring stock back above the threshold.</p>
+              <div class="footer">
+                <p>This is an automated notification from The Gift Oasis.</p>
+              </div>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const emailData = {
+      sender: {
+        name: "The Gift Oasis",
+        email: process.env.EMAIL_FROM || "thegiftoasis31@gmail.com"
+      },
+      to: [
+        {
+          email: process.env.ADMIN_EMAIL || "thegiftoasis31@gmail.com",
+          name: "Admin"
+        }
+      ],
+      subject: `📉 ${title}`,
+      htmlContent: emailHTML,
+      textContent: `
+${title}
+
+${alerts.map((alert) => `${alert.productName}: ${alert.level === "out_of_stock" ? "OUT OF STOCK" : "low stock"} (${alert.stock} left, threshold ${alert.lowStockThreshold}), selling ${alert.unitsPerDay}/day - reorder ${alert.suggestedReorder}`).join("\n")}
+      `.trim()
+    };
+
+    const result = await sendEmailViaBrevo(emailData);
+
+    if (result.success) {
+      console.log("✅ Stock alert email sent:", result.messageId);
+    } else {
+      console.error("❌ Error sending stock alert email:", result.error);
+    }
+
+    return result;
+  } catch (error) {
+    console.error("❌ Error sending stock alert email:", error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Main and only email function
 export const sendVerificationEmail = async (email, verificationCode) => {
   try {
@@ -0,0 +1,76 @@
+// utils/giftOptions.js
+import moment from "moment-timezone";
+import { STORE_TIMEZONE } from "../config/store.js";
+
+// Wrap choices and their prices; the server price is always used, never the client's
+export const GIFT_WRAP_OPTIONS = {
+  none: { label: "No gift wrap", price: 0 },
+  classic: { label: "Classic gift wrap", price: 150 },
+  premium: { label: "Premium wrap with ribbon", price: 300 },
+  luxury: { label: "Luxury gift box", price: 500 },
+};
+
+export const GIFT_MESSAGE_MAX_LENGTH = 300;
+const MAX_DAYS_AHEAD = 90;
+
+export const cleanText = (value) => String(value || "").replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, "").trim();
+
+export const isValidPhone = (phone) => /^\+?[0-9]{10,13}$/.test(String(phone || "").replace(/[\s-]/g, ""));
+
+/**
+ * Validate and normalize the gift block from a checkout request.
+ * @param {Object} input - Raw gift block ({ isGift, recipient, message, wrap, delivery })
+ * @returns {Object} - { gift } (null when the order is not a gift) or { error }
+ */
+export function normalizeGift(input) {
+  if (!input || !(input.isGift === true || input.isGift === "true")) {
+    return { gift: null };
+  }
+
+  const recipient = input.recipient || {};
+  const name = cleanText(recipient.name);
+  const phone = cleanText(recipient.phone);
+  const address = cleanText(recipient.address);
+  const city = cleanText(recipient.city);
+
+  if (!name) return { error: "Gift recipient name is required" };
+  if (!isValidPhone(phone)) return { error: "Gift recipient phone number is invalid" };
+  if (address && !city) return { error: "Gift recipient city is required when sending to a different address" };
+
+  const message = cleanText(input.message);
+  if (message.length > GIFT_MESSAGE_MAX_LENGTH) {
+    return { error: `Gift message must be ${GIFT_MESSAGE_MAX_LENGTH} characters or less` };
+  }
+
+  const wrapOption = input.wrap?.option || input.wrap || "none";
+  if (!GIFT_WRAP_OPTIONS[wrapOption]) {
+    return { error: `Unknown gift wrap option: ${wrapOption}` };
+  }
+
+  const delivery = { date: "", timeSlot: "" };
+  if (input.delivery?.date) {
+    const date = moment.tz(input.delivery.date, "YYYY-MM-DD", true, STORE_TIMEZONE);
+    const today = moment().tz(STORE_TIMEZONE).startOf("day");
+    if (!date.isValid()) return { error: "Preferred delivery date must be in YYYY-MM-DD format" };
+    if (date.isBefore(today)) return { error: "Preferred delivery date cannot be in the past" };
+    if (date.diff(today, "days") > MAX_DAYS_AHEAD) {
+      return { error: `Preferred delivery date must be within ${MAX_DAYS_AHEAD} days` };
+    }
+    delivery.date = date.format("YYYY-MM-DD");
+  }
+  // Slot keys and capacity are checked when the slot is claimed (utils/deliverySlots.js)
+  if (input.delivery?.timeSlot) {
+    if (!delivery.date) return { error: "Pick a delivery date for the time slot" };
+    delivery.timeSlot = String(input.delivery.timeSlot).trim().toLowerCase();
+  }
+
+  return {
+    gift: {
+      isGift: true,
+      recipient: { name, phone, address, city },
+      message,
+      wrap: { option: wrapOption, price: GIFT_WRAP_OPTIONS[wrapOption].price },
+      delivery,
+    },
+  };
+}
@@ -0,0 +1,269 @@
+// utils/inventory.js
+import Product from "../models/Product.js";
+import StockMovement from "../models/StockMovement.js";
+import { checkStockAlert } from "./stockAlerts.js";
+import { findVariant } from "./variants.js";
+
+// Merge lines for the same product (and variant) so each is updated once
+function groupByProduct(items) {
+  const grouped = new Map();
+  items.forEach((item) => {
+    if (!item.productId) return;
+    const productId = String(item.productId?._id || item.productId);
+    const variantId = item.variantId ? String(item.variantId) : null;
+    const key = variantId ? `${productId}:${variantId}` : productId;
+    const existing = grouped.get(key);
+    if (existing) {
+      existing.quantity += Number(item.quantity);
+    } else {
+      grouped.set(key, { productId, variantId, name: item.name, quantity: Number(item.quantity) });
+    }
+  });
+  return [...grouped.values()];
+}
+
+// Stock lives on the variant when the line has one
+const adjustLineStock = (line, delta) =>
+  line.variantId
+    ? Product.adjustVariantStock(line.productId, line.variantId, delta)
+    : Product.adjustStock(line.productId, delta);
+
+/**
+ * Write a ledger entry for a stock change that has already been applied.
+ * Ledger failures are logged, never thrown: the stock change itself has happened.
+ * Also raises a low-stock alert when the change crosses a threshold, unless `alert` is false.
+ * @param {Object} product - Product document after the change
+ * @param {Object} movement - { type, delta, variantId, reason, orderId, returnRequestId, actor }
+ */
+export async function recordStockMovement(
+  product,
+  { type, delta, variantId, reason, orderId, returnRequestId, actor },
+  { alert = true } = {}
+) {
+  const variant = findVariant(product, variantId);
+  try {
+    await StockMovement.create({
+      product: product._id,
+      productName: product.name,
+      variant: variant?._id || null,
+      sku: variant?.sku || "",
+      type,
+      delta,
+      balanceAfter: product.stock,
+      variantBalanceAfter: variant ? variant.stock : null,
+      reason: reason || "",
+      order: orderId || null,
+      returnRequest: returnRequestId || null,
+      changedBy: actor?.id || null,
+      changedByRole: actor?.role || "system",
+    });
+  } catch (err) {
+    console.error(`❌ Failed to record stock movement for ${product._id}:`, err.message);
+  }
+
+  // Not awaited: alerting must never slow down or fail a checkout
+  if (alert) checkStockAlert(product, delta);
+}
+
+/**
+ * Put item quantities back into stock (cancellations, failed checkouts, returns).
+ * @param {Array} items - Order lines ({ productId, variantId, quantity })
+ * @param {Object} movement - Ledger details: { type, reason, orderId, returnRequestId, actor }
+ */
+export async function releaseStock(items, movement = {}) {
+  for (const line of groupByProduct(items)) {
+    try {
+      const product = await adjustLineStock(line, line.quantity);
+      if (product) {
+        await recordStockMovement(product, { type: "sale_released", ...movement, variantId: line.variantId, delta: line.quantity });
+      } else {
+        // e.g. the product gained variants after this order, or the variant was removed
+        console.warn(`⚠️ Could not restock ${line.quantity} x ${line.name}; adjust stock by hand`);
+      }
+    } catch (err) {
+      console.error(`❌ Failed to restock product ${line.productId}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Decrement stock for every line with a conditional update. If any line
+ * cannot be covered, lines already taken are released again.
+ * Low-stock alerts wait until the order is saved - see alertReservedStock.
+ * @param {Array} items - Order lines ({ productId, variantId, name, quantity })
+ * @param {Object} movement - Ledger details: { orderId, actor }
+ * @returns {Promise<Object>} - { success, errors, taken } with one error per short item
+ */
+export async function reserveStock(items, movement = {}) {
+  const reserved = [];
+  const taken = [];
+  const errors = [];
+
+  for (const line of groupByProduct(items)) {
+    const updated = await adjustLineStock(line, -line.quantity);
+    if (updated) {
+      reserved.push(line);
+      taken.push({ product: updated, delta: -line.quantity });
+      await recordStockMovement(
+        updated,
+        { type: "sale", ...movement, variantId: line.variantId, delta: -line.quantity },
+        { alert: false }
+      );
+      continue;
+    }
+
+    const product = await Product.findById(line.productId).select("name stock variants");
+    const source = line.variantId ? findVariant(product || {}, line.variantId) : product;
+    const available = Math.max(source?.stock || 0, 0);
+    errors.push({
+      productId: line.productId,
+      ...(line.variantId ? { variantId: line.variantId } : {}),
+      name: line.name || product?.name,
+      requested: line.quantity,
+      available,
+      message: available > 0
+        ? `Only ${available} left in stock`
+        : "Out of stock",
+    });
+  }
+
+  if (errors.length > 0) {
+    await releaseStock(reserved, { ...movement, reason: "Checkout failed: not enough stock" });
+    return { success: false, errors };
+  }
+
+  return { success: true, errors, taken };
+}
+
+// Raise the low-stock alerts held back by reserveStock, once the order is saved
+export function alertReservedStock({ taken = [] }) {
+  taken.forEach(({ product, delta }) => checkStockAlert(product, delta));
+}
+
+// Admin adjustment types: which way each one moves stock
+export const ADJUSTMENT_TYPES = {
+  receive: 1,
+  damage: -1,
+  return_restock: 1,
+  correction: 0, // Signed quantity, or an exact newStock count
+};
+
+const CORRECTION_RETRIES = 3;
+
+const stockMovedMessage = (stock) =>
+  `Stock has changed to ${stock} since it was counted. Please refresh and try again.`;
+
+/**
+ * A stock count from the product form only replaces the stored one when the form says which count
+ * it was loaded with (expectedStock) and that is still the stored count, so a sale made while the
+ * form was open is never overwritten.
+ * @returns {Object|null} - { httpStatus, message } when the edit must be refused
+ */
+export function staleStockEdit({ stock, expectedStock, currentStock, label }) {
+  const prefix = label ? `${label}: ` : "";
+  if (expectedStock === null || expectedStock === undefined) {
+    return stock === currentStock
+      ? null
+      : { httpStatus: 400, message: `${prefix}Send expectedStock (the count the form was loaded with) to change stock` };
+  }
+  if (stock === expectedStock) return null; // Not edited
+  return expectedStock === currentStock ? null : { httpStatus: 409, message: prefix + stockMovedMessage(currentStock) };
+}
+
+/**
+ * Manual stock adjustment by an admin, recorded in the ledger.
+ * Products with variants are adjusted one variant at a time.
+ * @param {string} productId
+ * @param {Object} adjustment - { type, quantity, newStock, expectedStock, variantId, reason, orderId, actor }
+ *   expectedStock: with newStock, the count the admin saw; the correction fails with 409 if stock has moved since
+ * @returns {Promise<Object>} - { success, product, movement } or { success: false, httpStatus, message }
+ */
+export async function adjustProductStock(
+  productId,
+  { type, quantity, newStock, expectedStock, variantId, reason, orderId, actor }
+) {
+  if (!(type in ADJUSTMENT_TYPES)) {
+    return { success: false, httpStatus: 400, message: `type must be one of: ${Object.keys(ADJUSTMENT_TYPES).join(", ")}` };
+  }
+  if (!reason || !String(reason).trim()) {
+    return { success: false, httpStatus: 400, message: "Reason is required" };
+  }
+
+  const current = await Product.findById(productId).select("name stock variants");
+  if (!current) return { success: false, httpStatus: 404, message: "Product not found" };
+  if (current.variants.length > 0 && !variantId) {
+    return { success: false, httpStatus: 400, message: "This product has variants. Choose the variant to adjust." };
+  }
+  if (variantId && !findVariant(current, variantId)) {
+    return { success: false, httpStatus: 404, message: "Variant not found" };
+  }
+
+  const movement = { type, variantId: variantId || undefined, reason: String(reason).trim(), orderId, actor };
+  const stockOf = (product) => (variantId ? findVariant(product, variantId)?.stock : product.stock) || 0;
+
+  // Stocktake: set the exact count, retrying if a sale lands in between
+  if (type === "correction" && newStock !== undefined && newStock !== null && newStock !== "") {
+    const target = Number(newStock);
+    if (!Number.isInteger(target) || target < 0) {
+      return { success: false, httpStatus: 400, message: "newStock must be a whole number of zero or more" };
+    }
+    // Counted against a known figure: apply only if nothing moved since, never retry onto a newer count
+    if (expectedStock !== undefined && expectedStock !== null && expectedStock !== "") {
+      const expected = Number(expectedStock);
+      if (!Number.isInteger(expected) || expected < 0) {
+        return { success: false, httpStatus: 400, message: "expectedStock must be a whole number of zero or more" };
+      }
+      if (stockOf(current) !== expected) {
+        return { success: false, httpStatus: 409, message: stockMovedMessage(stockOf(current)) };
+      }
+      if (target === expected) return { success: true, product: current, movement: null };
+      const product = variantId
+        ? await Product.setVariantStock(productId, variantId, expected, target)
+        : await Product.setStock(productId, expected, target);
+      if (!product) {
+        const latest = await Product.findById(productId).select("stock variants");
+        return { success: false, httpStatus: 409, message: stockMovedMessage(latest ? stockOf(latest) : expected) };
+      }
+      await recordStockMovement(product, { ...movement, delta: target - expected });
+      return { success: true, product, movement: { ...movement, delta: target - expected } };
+    }
+    for (let attempt = 0; attempt < CORRECTION_RETRIES; attempt++) {
+      const latest = attempt === 0 ? current : await Product.findById(productId).select("name stock variants");
+      if (!latest) return { success: false, httpStatus: 404, message: "Product not found" };
+      const expected = stockOf(latest);
+      const delta = target - expected;
+      if (delta === 0) return { success: true, product: latest, movement: null };
+
+      const product = variantId
+        ? await Product.setVariantStock(productId, variantId, expected, target)
+        : await Product.setStock(productId, expected, target);
+      if (product) {
+        await recordStockMovement(product, { ...movement, delta });
+        return { success: true, product, movement: { ...movement, delta } };
+      }
+    }
+    return { success: false, httpStatus: 409, message: "Stock kept changing. Please try again." };
+  }
+
+  const units = Number(quantity);
+  const direction = ADJUSTMENT_TYPES[type];
+  if (!Number.isInteger(units) || units === 0 || (direction !== 0 && units < 0)) {
+    return {
+      success: false,
+      httpStatus: 400,
+      message: direction === 0 ? "quantity must be a non-zero whole number" : "quantity must be a positive whole number",
+    };
+  }
+  const delta = direction === 0 ? units : direction * units;
+
+  const product = await adjustLineStock({ productId, variantId }, delta);
+  if (!product) {
+    const exists = await Product.findById(productId).select("stock variants");
+    return exists
+      ? { success: false, httpStatus: 409, message: `Only ${stockOf(exists)} in stock; can't remove ${-delta}` }
+      : { success: false, httpStatus: 404, message: "Product not found" };
+  }
+
+  await recordStockMovement(product, { ...movement, delta });
+  return { success: true, product, movement: { ...movement, delta } };
+}
@@ -0,0 +1,102 @@
+// utils/orderChanges.js
+import { ORDER_EDIT_WINDOW_MINUTES } from "../config/store.js";
+import { cleanText, isValidPhone, GIFT_MESSAGE_MAX_LENGTH } from "./giftOptions.js";
+
+// Statuses in which customers may still cancel or edit their own order
+export const CUSTOMER_EDITABLE_STATUSES = ["pending", "confirmed"];
+
+/**
+ * Why a customer can't change this order any more.
+ * @returns {string|null} - Refusal reason, or null when changes are allowed
+ */
+export function getCustomerChangeRefusal(order, now = new Date()) {
+  if (!CUSTOMER_EDITABLE_STATUSES.includes(order.status)) {
+    return `Your order is already ${order.status} and can no longer be changed. Please contact us for help.`;
+  }
+
+  const deadline = new Date(order.createdAt.getTime() + ORDER_EDIT_WINDOW_MINUTES * 60 * 1000);
+  if (now > deadline) {
+    const hours = ORDER_EDIT_WINDOW_MINUTES / 60;
+    const window = Number.isInteger(hours) ? `${hours} hour${hours === 1 ? "" : "s"}` : `${ORDER_EDIT_WINDOW_MINUTES} minutes`;
+    return `Orders can only be changed within ${window} of placing them. Please contact us for help.`;
+  }
+
+  return null;
+}
+
+// Deadline shown to customers alongside their order
+export const getCustomerChangeDeadline = (order) =>
+  new Date(order.createdAt.getTime() + ORDER_EDIT_WINDOW_MINUTES * 60 * 1000);
+
+/**
+ * Validate a customer's delivery-detail edit. The city can't change because
+ * shipping and slot capacity were priced for it.
+ * @param {Object} order - Order document
+ * @param {Object} body - { customerInfo: { name, phone, address }, gift: { recipient, message } }
+ * @returns {Object} - { update, changes } or { error }
+ */
+export function buildDeliveryDetailsUpdate(order, body) {
+  const update = {};
+  const changes = [];
+
+  const setField = (path, value, current) => {
+    if (value === (current || "")) return;
+    update[path] = value;
+    changes.push({ field: path, from: current || "", to: value });
+  };
+
+  const customer = body.customerInfo || {};
+  if (customer.city !== undefined && cleanText(customer.city).toLowerCase() !== String(order.customerInfo.city || "").toLowerCase()) {
+    return { error: "The delivery city can't be changed online. Please contact us to change it." };
+  }
+  if (customer.name !== undefined) {
+    const name = cleanText(customer.name);
+    if (!name) return { error: "Name cannot be empty" };
+    setField("customerInfo.name", name, order.customerInfo.name);
+  }
+  if (customer.phone !== undefined) {
+    if (!isValidPhone(customer.phone)) return { error: "Phone number is invalid" };
+    setField("customerInfo.phone", cleanText(customer.phone), order.customerInfo.phone);
+  }
+  if (customer.address !== undefined) {
+    const address = cleanText(customer.address);
+    if (!address) return { error: "Address cannot be empty" };
+    setField("customerInfo.address", address, order.customerInfo.address);
+  }
+
+  const gift = body.gift;
+  if (gift) {
+    if (!order.gift?.isGift) return { error: "This order is not a gift" };
+    const recipient = gift.recipient || {};
+    const current = order.gift.recipient || {};
+
+    if (recipient.city !== undefined && cleanText(recipient.city).toLowerCase() !== String(current.city || "").toLowerCase()) {
+      return { error: "The delivery city can't be changed online. Please contact us to change it." };
+    }
+    if (recipient.name !== undefined) {
+      const name = cleanText(recipient.name);
+      if (!name) return { error: "Gift recipient name cannot be empty" };
+      setField("gift.recipient.name", name, current.name);
+    }
+    if (recipient.phone !== undefined) {
+      if (!isValidPhone(recipient.phone)) return { error: "Gift recipient phone number is invalid" };
+      setField("gift.recipient.phone", cleanText(recipient.phone), current.phone);
+    }
+    if (recipient.address !== undefined) {
+      // Switching between buyer's and recipient's address would move the delivery city
+      if (Boolean(cleanText(recipient.address)) !== Boolean(current.address)) {
+        return { error: "The delivery city can't be changed online. Please contact us to change it." };
+      }
+      setField("gift.recipient.address", cleanText(recipient.address), current.address);
+    }
+    if (gift.message !== undefined) {
+      const message = cleanText(gift.message);
+      if (message.length > GIFT_MESSAGE_MAX_LENGTH) {
+        return { error: `Gift message must be ${GIFT_MESSAGE_MAX_LENGTH} characters or less` };
+      }
+      setField("gift.message", message, order.gift.message);
+    }
+  }
+
+  return { update, changes };
+}
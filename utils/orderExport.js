@@ -0,0 +1,111 @@
+// utils/orderExport.js
+import { once } from "events";
+import ExcelJS from "exceljs";
+import moment from "moment-timezone";
+import { STORE_TIMEZONE } from "../config/store.js";
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+export const EXPORT_ROW_MODES = ["order", "item"];
+
+// Fields the export reads; history arrays can be large and are left out
+export const EXPORT_PROJECTION =
+  "orderNumber createdAt status paymentStatus customerInfo paymentInfo.method paymentInfo.amountReceived items pricing coupon shipping gift.isGift totalAmount";
+
+const formatDate = (date) => (date ? moment(date).tz(STORE_TIMEZONE).format("YYYY-MM-DD HH:mm") : "");
+
+const ORDER_COLUMNS = [
+  { header: "Order Number", value: (order) => order.orderNumber },
+  { header: "Order Date", value: (order) => formatDate(order.createdAt) },
+  { header: "Status", value: (order) => order.status },
+  { header: "Payment Status", value: (order) => order.paymentStatus || "awaiting_proof" },
+  { header: "Payment Method", value: (order) => order.paymentInfo?.method || "" },
+  { header: "Customer Name", value: (order) => order.customerInfo?.name || "" },
+  { header: "Phone", value: (order) => order.customerInfo?.phone || "" },
+  { header: "Email", value: (order) => order.customerInfo?.email || "" },
+  { header: "City", value: (order) => order.customerInfo?.city || "" },
+  { header: "Province", value: (order) => order.customerInfo?.province || "" },
+  { header: "Gift", value: (order) => (order.gift?.isGift ? "yes" : "no") },
+];
+
+const ORDER_TOTAL_COLUMNS = [
+  { header: "Items", value: (order) => order.items.reduce((sum, item) => sum + item.quantity, 0) },
+  { header: "Subtotal", value: (order) => order.pricing?.subtotal ?? "" },
+  { header: "Coupon", value: (order) => order.coupon?.code || "" },
+  { header: "Coupon Discount", value: (order) => order.coupon?.discount || 0 },
+  { header: "Gift Wrap Fee", value: (order) => order.pricing?.giftWrapFee || 0 },
+  { header: "Delivery Fee", value: (order) => order.shipping?.fee || 0 },
+  { header: "COD Fee", value: (order) => order.pricing?.codFee || 0 },
+  { header: "Total", value: (order) => order.totalAmount },
+  { header: "Amount Received", value: (order) => order.paymentInfo?.amountReceived || 0 },
+];
+
+const ITEM_COLUMNS = [
+  { header: "Product ID", value: (order, item) => (item.productId ? item.productId.toString() : "") },
+  { header: "SKU", value: (order, item) => item.sku || "" },
+  { header: "Product", value: (order, item) => item.name },
+  { header: "Category", value: (order, item) => item.category || "" },
+  { header: "Quantity", value: (order, item) => item.quantity },
+  { header: "List Price", value: (order, item) => item.listPrice ?? item.price },
+  { header: "Discount %", value: (order, item) => item.discountPercentage || 0 },
+  { header: "Unit Price", value: (order, item) => item.price },
+  { header: "Line Total", value: (order, item) => item.lineTotal ?? item.price * item.quantity },
+  { header: "Order Total", value: (order) => order.totalAmount },
+];
+
+const columnsFor = (rowMode) =>
+  rowMode === "item" ? [...ORDER_COLUMNS, ...ITEM_COLUMNS] : [...ORDER_COLUMNS, ...ORDER_TOTAL_COLUMNS];
+
+// One row per order, or one per line item
+function* rowsFor(order, columns, rowMode) {
+  if (rowMode === "item") {
+    for (const item of order.items) yield columns.map((col) => col.value(order, item));
+  } else {
+    yield columns.map((col) => col.value(order));
+  }
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (cells) => `${cells.map(csvCell).join(",")}\r\n`;
+
+/**
+ * Stream orders from a cursor to the response as CSV or XLSX, one document at a time.
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {Object} res - Express response (headers already set)
+ * @param {Object} options - { format, rowMode }
+ * @returns {Promise<number>} - Number of rows written
+ */
+export async function streamOrderExport(cursor, res, { format, rowMode }) {
+  const columns = columnsFor(rowMode);
+  let rowCount = 0;
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(rowMode === "item" ? "Order Items" : "Orders");
+    sheet.addRow(columns.map((col) => col.header)).commit();
+    for await (const order of cursor) {
+      for (const row of rowsFor(order, columns, rowMode)) {
+        sheet.addRow(row).commit();
+        rowCount++;
+      }
+    }
+    sheet.commit();
+    await workbook.commit();
+    return rowCount;
+  }
+
+  // UTF-8 BOM so Excel opens names with non-ASCII characters correctly
+  res.write(`\uFEFF${csvLine(columns.map((col) => col.header))}`);
+  for await (const order of cursor) {
+    for (const row of rowsFor(order, columns, rowMode)) {
+      // Respect backpressure so a slow client doesn't buffer the whole export in memory
+      if (!res.write(csvLine(row))) await once(res, "drain");
+      rowCount++;
+    }
+  }
+  res.end();
+  return rowCount;
+}
@@ -0,0 +1,155 @@
+// utils/orderFilters.js
+import mongoose from "mongoose";
+import { parseStoreDate } from "./deliverySlots.js";
+import { ORDER_STATUSES } from "./orderStatus.js";
+import { PAYMENT_STATUSES } from "./payment.js";
+
+// Sort options for admin order lists; a leading "-" means descending
+const SORT_FIELDS = {
+  createdAt: "createdAt",
+  totalAmount: "totalAmount",
+  orderNumber: "orderNumber",
+  status: "status",
+  customer: "customerInfo.name",
+  city: "customerInfo.city",
+};
+export const DEFAULT_ORDER_SORT = "-createdAt";
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const containsText = (value) => ({ $regex: escapeRegex(String(value).trim()), $options: "i" });
+
+// Phones are stored as typed, so allow any separators between the digits
+function phoneRegex(value) {
+  const digits = String(value).replace(/\D/g, "").slice(-10);
+  return digits ? { $regex: digits.split("").join("\\D*") } : null;
+}
+
+const FILTER_PARAMS = [
+  "status",
+  "paymentStatus",
+  "from",
+  "to",
+  "orderNumber",
+  "phone",
+  "email",
+  "name",
+  "paymentMethod",
+  "city",
+  "product",
+  "minTotal",
+  "maxTotal",
+];
+
+/**
+ * Mongo filter for the admin order list and export from query string filters.
+ * Dates are YYYY-MM-DD in the store timezone and both ends are inclusive.
+ * @param {Object} query - req.query
+ * @returns {Object} - { filter } or { error }
+ */
+export function buildOrderFilter(query) {
+  // ?status=a&status=b or ?status[$ne]=x arrive as an array or object; never pass those to Mongo.
+  // Numbers are fine too: bulk actions send the filter as JSON.
+  const nested = FILTER_PARAMS.find(
+    (key) => query[key] !== undefined && typeof query[key] !== "string" && typeof query[key] !== "number"
+  );
+  if (nested) return { error: `${nested} must be given once, as a single value` };
+
+  const {
+    status,
+    paymentStatus,
+    from,
+    to,
+    orderNumber,
+    phone,
+    email,
+    name,
+    paymentMethod,
+    city,
+    product,
+    minTotal,
+    maxTotal,
+  } = query;
+  const filter = {};
+
+  if (status && status !== "all") {
+    if (!ORDER_STATUSES.includes(status)) return { error: `status must be one of: all, ${ORDER_STATUSES.join(", ")}` };
+    filter.status = status;
+  }
+  if (paymentStatus && paymentStatus !== "all") {
+    if (!PAYMENT_STATUSES.includes(paymentStatus)) {
+      return { error: `paymentStatus must be one of: all, ${PAYMENT_STATUSES.join(", ")}` };
+    }
+    filter.paymentStatus = paymentStatus;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const start = parseStoreDate(from);
+      if (!start.isValid()) return { error: "from must be a date in YYYY-MM-DD format" };
+      filter.createdAt.$gte = start.startOf("day").toDate();
+    }
+    if (to) {
+      const end = parseStoreDate(to);
+      if (!end.isValid()) return { error: "to must be a date in YYYY-MM-DD format" };
+      filter.createdAt.$lte = end.endOf("day").toDate();
+    }
+  }
+
+  if (orderNumber) {
+    filter.orderNumber = { $regex: `^${escapeRegex(String(orderNumber).trim().toUpperCase())}` };
+  }
+  if (phone) {
+    const regex = phoneRegex(phone);
+    if (!regex) return { error: "phone must contain digits" };
+    filter["customerInfo.phone"] = regex;
+  }
+  if (email) filter["customerInfo.email"] = containsText(email);
+  if (name) filter["customerInfo.name"] = containsText(name);
+  if (paymentMethod && paymentMethod !== "all") {
+    filter["paymentInfo.method"] = { $regex: `^${escapeRegex(paymentMethod)}$`, $options: "i" };
+  }
+  if (city) {
+    filter["customerInfo.city"] = { $regex: `^${escapeRegex(String(city).trim())}$`, $options: "i" };
+  }
+
+  // Product by id, otherwise by name as it was when ordered
+  if (product) {
+    if (typeof product === "string" && mongoose.Types.ObjectId.isValid(product)) {
+      filter["items.productId"] = product;
+    } else {
+      filter["items.name"] = containsText(product);
+    }
+  }
+
+  if (minTotal !== undefined || maxTotal !== undefined) {
+    filter.totalAmount = {};
+    if (minTotal !== undefined) {
+      if (Number.isNaN(Number(minTotal))) return { error: "minTotal must be a number" };
+      filter.totalAmount.$gte = Number(minTotal);
+    }
+    if (maxTotal !== undefined) {
+      if (Number.isNaN(Number(maxTotal))) return { error: "maxTotal must be a number" };
+      filter.totalAmount.$lte = Number(maxTotal);
+    }
+  }
+
+  return { filter };
+}
+
+/**
+ * Mongo sort from a `sort` query value such as "-totalAmount".
+ * @returns {Object} - { sort } or { error }
+ */
+export function buildOrderSort(value = DEFAULT_ORDER_SORT) {
+  // ?sort=a&sort=b or ?sort[x]=y arrive as an array or object
+  if (typeof value !== "string") return { error: "sort must be given once, as a single value" };
+  const descending = value.startsWith("-");
+  const field = SORT_FIELDS[descending ? value.slice(1) : value];
+  if (!field) {
+    return { error: `sort must be one of: ${Object.keys(SORT_FIELDS).join(", ")} (prefix with - for descending)` };
+  }
+  // _id as a tie-breaker keeps paging stable
+  return { sort: { [field]: descending ? -1 : 1, _id: descending ? -1 : 1 } };
+}
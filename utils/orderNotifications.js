@@ -0,0 +1,27 @@
+// utils/orderNotifications.js
+import { sendOrderStatusUpdateEmail } from "./emailService.js";
+
+// Email the customer about a status change; failures are only logged
+export const emailStatusChange = async (order) => {
+  try {
+    const result = await sendOrderStatusUpdateEmail({
+      orderNumber: order.orderNumber,
+      customerInfo: order.customerInfo,
+      items: order.items,
+      totalAmount: order.totalAmount,
+      status: order.status,
+      shipment: order.shipment,
+      cancellationReason: order.cancellationReason,
+    });
+    if (!result.success) {
+      console.warn(`⚠️ Status email not sent for ${order.orderNumber}:`, result.error);
+    }
+  } catch (emailError) {
+    console.error("⚠️ Status email error (status still updated):", emailError);
+  }
+};
+
+// Send the customer status email in the background
+export const notifyCustomerOfStatusChange = (order) => {
+  emailStatusChange(order);
+};
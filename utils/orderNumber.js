@@ -0,0 +1,33 @@
+// utils/orderNumber.js
+import moment from "moment-timezone";
+import Counter from "../models/Counter.js";
+import { STORE_TIMEZONE, ORDER_NUMBER_RESET_DAILY } from "../config/store.js";
+
+export const ORDER_NUMBER_PATTERN = /^ORD-(\d{8})-(\d+)$/;
+
+// Counter key for the sequence an order placed on `day` (YYYYMMDD) belongs to
+export const orderCounterKey = (day, resetDaily = ORDER_NUMBER_RESET_DAILY) =>
+  resetDaily ? `orderNumber:${day}` : "orderNumber";
+
+export const formatOrderNumber = (day, seq) => `ORD-${day}-${String(seq).padStart(6, "0")}`;
+
+/**
+ * Next order number as ORD-YYYYMMDD-NNNNNN, dated in the store timezone.
+ * @param {Date} date - Order time (defaults to now)
+ * @returns {Promise<string>}
+ */
+export async function nextOrderNumber(date = new Date()) {
+  const day = moment(date).tz(STORE_TIMEZONE).format("YYYYMMDD");
+  const key = orderCounterKey(day);
+
+  let counter;
+  try {
+    counter = await Counter.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { upsert: true, new: true });
+  } catch (err) {
+    // Two first-of-the-day upserts can race on _id; the loser retries against the existing counter
+    if (err.code !== 11000) throw err;
+    counter = await Counter.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { new: true });
+  }
+
+  return formatOrderNumber(day, counter.seq);
+}
@@ -0,0 +1,210 @@
+// utils/orderPdf.js
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import moment from "moment-timezone";
+import { buildPackingSlip } from "./packingSlip.js";
+import { GIFT_WRAP_OPTIONS } from "./giftOptions.js";
+import { roundMoney } from "./pricing.js";
+import { STORE_TIMEZONE } from "../config/store.js";
+
+const STORE_NAME = "The Gift Oasis";
+const PAGE_MARGIN = 50;
+const QR_SIZE = 90;
+
+const money = (value) => `Rs.${roundMoney(value).toFixed(2)}`;
+const formatDate = (date) => moment(date).tz(STORE_TIMEZONE).format("DD MMM YYYY, hh:mm A");
+
+// Render into memory so the same buffer can be streamed or emailed
+function renderPdf(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: PAGE_MARGIN });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    Promise.resolve(draw(doc))
+      .then(() => doc.end())
+      .catch(reject);
+  });
+}
+
+// Title, order number and a QR code of the order number in the top right
+async function drawHeader(doc, title, orderNumber, createdAt) {
+  const qr = await QRCode.toBuffer(orderNumber, { margin: 1, width: QR_SIZE * 2 });
+  doc.image(qr, doc.page.width - PAGE_MARGIN - QR_SIZE, PAGE_MARGIN, { width: QR_SIZE });
+
+  doc.font("Helvetica-Bold").fontSize(20).text(STORE_NAME, PAGE_MARGIN, PAGE_MARGIN);
+  doc.fontSize(14).text(title);
+  doc.moveDown(0.5);
+  doc.font("Helvetica").fontSize(10);
+  doc.text(`Order Number: ${orderNumber}`);
+  doc.text(`Order Date: ${formatDate(createdAt)}`);
+  doc.y = Math.max(doc.y, PAGE_MARGIN + QR_SIZE) + 20;
+}
+
+function drawAddressBlock(doc, heading, { name, phone, address, city }) {
+  doc.font("Helvetica-Bold").fontSize(11).text(heading);
+  doc.font("Helvetica").fontSize(10);
+  doc.text(name || "");
+  if (phone) doc.text(phone);
+  doc.text([address, city].filter(Boolean).join(", "));
+  doc.moveDown();
+}
+
+/**
+ * Draw a simple table. Columns are { header, width, align } and rows are arrays of strings.
+ */
+function drawTable(doc, columns, rows) {
+  const left = PAGE_MARGIN;
+  const drawRow = (cells, font) => {
+    const top = doc.y;
+    let x = left;
+    let rowHeight = 0;
+    doc.font(font).fontSize(10);
+    cells.forEach((cell, i) => {
+      const { width, align = "left" } = columns[i];
+      doc.text(cell, x + 4, top, { width: width - 8, align });
+      rowHeight = Math.max(rowHeight, doc.y - top);
+      x += width;
+    });
+    doc.y = top + rowHeight + 6;
+    doc.moveTo(left, doc.y - 3).lineTo(x, doc.y - 3).strokeColor("#dddddd").stroke();
+    doc.x = left;
+  };
+
+  drawRow(columns.map((col) => col.header), "Helvetica-Bold");
+  rows.forEach((row) => {
+    if (doc.y > doc.page.height - PAGE_MARGIN - 40) doc.addPage();
+    drawRow(row, "Helvetica");
+  });
+  doc.moveDown(0.5);
+}
+
+// Right-aligned "label  amount" lines under the items table
+function drawTotals(doc, lines) {
+  const width = 220;
+  const x = doc.page.width - PAGE_MARGIN - width;
+  lines.forEach(({ label, value, bold }) => {
+    const top = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 12 : 10);
+    doc.text(label, x, top, { width: width - 90 });
+    doc.text(value, x + width - 90, top, { width: 90, align: "right" });
+    doc.moveDown(0.3);
+  });
+  doc.x = PAGE_MARGIN;
+  doc.moveDown();
+}
+
+/**
+ * Customer invoice with line items, discounts, delivery charge and payment method.
+ * @param {Object} order - Order document
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+export function buildInvoicePdf(order) {
+  return renderPdf(async (doc) => {
+    await drawHeader(doc, "Invoice", order.orderNumber, order.createdAt);
+    drawAddressBlock(doc, "Bill To", order.customerInfo);
+
+    drawTable(
+      doc,
+      [
+        { header: "Item", width: 215 },
+        { header: "Qty", width: 40, align: "center" },
+        { header: "List Price", width: 80, align: "right" },
+        { header: "Discount", width: 60, align: "right" },
+        { header: "Total", width: 100, align: "right" },
+      ],
+      order.items.map((item) => [
+        item.name,
+        String(item.quantity),
+        money(item.listPrice ?? item.price),
+        item.discountPercentage > 0 ? `${item.discountPercentage}%` : "-",
+        money(item.lineTotal ?? item.price * item.quantity),
+      ])
+    );
+
+    // Orders from before server-side pricing have no breakdown, only the total
+    const pricing = order.pricing || {};
+    const subtotal = pricing.subtotal ?? order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const lines = [{ label: "Subtotal", value: money(subtotal) }];
+    if (order.coupon?.code) {
+      lines.push({ label: `Coupon (${order.coupon.code})`, value: `-${money(order.coupon.discount)}` });
+    }
+    if (pricing.giftWrapFee > 0) {
+      const wrap = order.gift?.wrap?.option;
+      lines.push({ label: `Gift Wrap (${GIFT_WRAP_OPTIONS[wrap]?.label || wrap})`, value: money(pricing.giftWrapFee) });
+    }
+    if (order.shipping) {
+      lines.push({
+        label: `Delivery (${order.shipping.zoneName})`,
+        value: order.shipping.fee > 0 ? money(order.shipping.fee) : "FREE",
+      });
+    }
+    if (pricing.codFee > 0) {
+      lines.push({ label: "Cash on Delivery Fee", value: money(pricing.codFee) });
+    }
+    lines.push({ label: "Total", value: money(order.totalAmount), bold: true });
+    drawTotals(doc, lines);
+
+    doc.font("Helvetica-Bold").fontSize(11).text("Payment");
+    doc.font("Helvetica").fontSize(10);
+    doc.text(`Method: ${String(order.paymentInfo?.method || "").toUpperCase()}`);
+    doc.text(`Status: ${(order.paymentStatus || "awaiting_proof").replace(/_/g, " ")}`);
+    if (order.paymentInfo?.transactionRef) doc.text(`Reference: ${order.paymentInfo.transactionRef}`);
+
+    doc.moveDown(2);
+    doc.fontSize(9).fillColor("#666666").text(`Thank you for shopping with ${STORE_NAME}!`, { align: "center" });
+  });
+}
+
+/**
+ * Packing slip for the parcel, from the same data as the JSON packing slip.
+ * Gift orders have no prices or payment details on them.
+ * @param {Object} order - Order document
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+export function buildPackingSlipPdf(order) {
+  const slip = buildPackingSlip(order);
+
+  return renderPdf(async (doc) => {
+    await drawHeader(doc, slip.isGift ? "Gift Packing Slip" : "Packing Slip", slip.orderNumber, slip.orderDate);
+    drawAddressBlock(doc, "Ship To", slip.shipTo);
+
+    const columns = slip.isGift
+      ? [{ header: "Item", width: 395 }, { header: "Qty", width: 100, align: "center" }]
+      : [
+          { header: "Item", width: 255 },
+          { header: "Qty", width: 60, align: "center" },
+          { header: "Unit Price", width: 80, align: "right" },
+          { header: "Total", width: 100, align: "right" },
+        ];
+    drawTable(
+      doc,
+      columns,
+      slip.items.map((item) =>
+        slip.isGift
+          ? [item.name, String(item.quantity)]
+          : [item.name, String(item.quantity), money(item.price), money(item.lineTotal ?? item.price * item.quantity)]
+      )
+    );
+
+    if (slip.isGift) {
+      doc.font("Helvetica-Bold").fontSize(11).text("Gift Details");
+      doc.font("Helvetica").fontSize(10);
+      doc.text(`From: ${slip.gift.from}`);
+      doc.text(`Wrapping: ${slip.gift.wrap}`);
+      if (slip.gift.deliveryDate) {
+        doc.text(`Deliver On: ${slip.gift.deliveryDate}${slip.gift.timeSlot ? ` (${slip.gift.timeSlot})` : ""}`);
+      }
+      if (slip.gift.message) {
+        doc.moveDown();
+        doc.font("Helvetica-Bold").text("Message Card");
+        doc.font("Helvetica-Oblique").text(slip.gift.message);
+      }
+    } else {
+      drawTotals(doc, [{ label: "Total", value: money(slip.totalAmount), bold: true }]);
+      doc.font("Helvetica").fontSize(10).text(`Payment Method: ${String(slip.paymentMethod || "").toUpperCase()}`);
+    }
+  });
+}
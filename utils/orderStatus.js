@@ -0,0 +1,145 @@
+// utils/orderStatus.js
+import Order from "../models/Order.js";
+import { releaseStock } from "./inventory.js";
+import { getPaymentGateError } from "./payment.js";
+import { releaseCoupon } from "./coupons.js";
+import { releaseDeliverySlot } from "./deliverySlots.js";
+import { CUSTOMER_EDITABLE_STATUSES, getCustomerChangeDeadline } from "./orderChanges.js";
+
+// Allowed next statuses for each fulfillment status. delivered and cancelled are final.
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "dispatched", "cancelled"],
+  processing: ["dispatched", "cancelled"],
+  dispatched: ["delivered", "cancelled"],
+  delivered: [],
+  cancelled: [],
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+export const canTransition = (from, to) => (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Check whether an order may move to `nextStatus`.
+ * @returns {string|null} - Refusal reason, or null when the move is allowed
+ */
+export function getTransitionError(order, nextStatus) {
+  if (!ORDER_STATUSES.includes(nextStatus)) return "Invalid status";
+  if (order.status === nextStatus) return `Order is already ${nextStatus}`;
+  if (!canTransition(order.status, nextStatus)) {
+    const allowed = ORDER_STATUS_TRANSITIONS[order.status] || [];
+    return allowed.length > 0
+      ? `Cannot move order from ${order.status} to ${nextStatus}. Allowed: ${allowed.join(", ")}`
+      : `Order is ${order.status} and can no longer change status`;
+  }
+  return getPaymentGateError(order, nextStatus);
+}
+
+// Build a statusHistory entry; actor is the decoded token from req.user
+export const buildHistoryEntry = (status, from, actor, note) => ({
+  status,
+  from: from || null,
+  changedAt: new Date(),
+  changedBy: actor?.id || null,
+  changedByRole: actor?.role || "system",
+  note: note || "",
+});
+
+/**
+ * Move an order to a new fulfillment status, record it in statusHistory and
+ * run the side effects of that status (stock, coupon and delivery slot release on cancellation).
+ * @param {Object} order - Order document in its current state
+ * @param {string} nextStatus - Target status
+ * @param {Object} options - { actor, note, update } where update holds extra $set fields
+ * @returns {Promise<Object>} - { success, order } or { success: false, httpStatus, message }
+ */
+export async function changeOrderStatus(order, nextStatus, { actor, note, update = {} } = {}) {
+  const transitionError = getTransitionError(order, nextStatus);
+  if (transitionError) {
+    return { success: false, httpStatus: 400, message: transitionError };
+  }
+
+  // Match on the current status so two admins cannot apply conflicting moves
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: { ...update, status: nextStatus },
+      $push: { statusHistory: buildHistoryEntry(nextStatus, order.status, actor, note) },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return {
+      success: false,
+      httpStatus: 409,
+      message: "Order was changed by someone else. Please refresh and try again.",
+    };
+  }
+
+  // Return held stock once; the conditional flag flip guards against double restocks
+  if (nextStatus === "cancelled") {
+    const released = await Order.findOneAndUpdate(
+      { _id: updated._id, stockReserved: true },
+      { stockReserved: false }
+    );
+    if (released) {
+      await releaseStock(released.items, {
+        orderId: released._id,
+        actor,
+        reason: `Order ${released.orderNumber} cancelled`,
+      });
+      updated.stockReserved = false;
+    }
+    if (updated.coupon?.couponId) {
+      await releaseCoupon(updated.coupon.couponId, updated._id);
+    }
+    const slotHolder = await Order.findOneAndUpdate(
+      { _id: updated._id, deliverySlotClaimed: true },
+      { deliverySlotClaimed: false }
+    );
+    if (slotHolder) {
+      await releaseDeliverySlot({
+        date: slotHolder.gift.delivery.date,
+        slotKey: slotHolder.gift.delivery.timeSlot,
+        zoneId: slotHolder.shipping?.zone,
+      });
+      updated.deliverySlotClaimed = false;
+    }
+  }
+
+  return { success: true, order: updated };
+}
+
+/**
+ * Customer-facing timeline: when each status was reached, without admin identities.
+ * Notes typed by admins are internal and left out; customer and courier notes are kept.
+ * Orders placed before history was recorded get a timeline built from their timestamps.
+ */
+export function buildStatusTimeline(order) {
+  if (order.statusHistory?.length > 0) {
+    return order.statusHistory.map((entry) => ({
+      status: entry.status,
+      changedAt: entry.changedAt,
+      note: entry.changedByRole === "admin" ? "" : entry.note || "",
+    }));
+  }
+
+  const timeline = [{ status: "pending", changedAt: order.createdAt, note: "" }];
+  if (order.status !== "pending") {
+    timeline.push({ status: order.status, changedAt: order.updatedAt, note: "" });
+  }
+  return timeline;
+}
+
+// Order as shown to customers: admin audit trails replaced by the redacted timeline
+export function toCustomerOrder(order) {
+  const { statusHistory, paymentHistory, editHistory, ...rest } = order.toObject();
+  if (rest.paymentInfo) delete rest.paymentInfo.verifiedBy;
+  return {
+    ...rest,
+    timeline: buildStatusTimeline(order),
+    canChangeUntil: CUSTOMER_EDITABLE_STATUSES.includes(order.status) ? getCustomerChangeDeadline(order) : null,
+  };
+}
@@ -0,0 +1,83 @@
+// utils/orderTracking.js
+import jwt from "jsonwebtoken";
+import { buildStatusTimeline } from "./orderStatus.js";
+
+const TRACKING_TOKEN_PURPOSE = "order-tracking";
+const TRACKING_TOKEN_TTL = process.env.ORDER_TRACKING_TOKEN_TTL || "90d";
+// Own key and audience, so a tracking link can never pass verifyToken as a login session
+const TRACKING_SECRET = () =>
+  process.env.ORDER_TRACKING_SECRET || `${process.env.JWT_SECRET || "devsecret"}:${TRACKING_TOKEN_PURPOSE}`;
+
+// Compare phone numbers on their last 10 digits so 0300..., +92300... and 92300... all match
+const phoneKey = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+
+export const phonesMatch = (a, b) => phoneKey(a).length === 10 && phoneKey(a) === phoneKey(b);
+
+export const emailsMatch = (a, b) =>
+  Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// Signed link token emailed with the confirmation; grants the redacted view only
+export const createTrackingToken = (order) =>
+  jwt.sign(
+    { purpose: TRACKING_TOKEN_PURPOSE, orderId: order._id.toString(), orderNumber: order.orderNumber },
+    TRACKING_SECRET(),
+    { expiresIn: TRACKING_TOKEN_TTL, audience: TRACKING_TOKEN_PURPOSE }
+  );
+
+/**
+ * Decode a tracking token.
+ * @returns {Object|null} - { orderId, orderNumber } or null when invalid/expired
+ */
+export function verifyTrackingToken(token) {
+  try {
+    const decoded = jwt.verify(token, TRACKING_SECRET(), { audience: TRACKING_TOKEN_PURPOSE });
+    return decoded.purpose === TRACKING_TOKEN_PURPOSE ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+// "Ayesha Khan" -> "A***** K***"
+const maskName = (name) =>
+  String(name || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => part[0] + "*".repeat(Math.max(part.length - 1, 1)))
+    .join(" ");
+
+/**
+ * What anyone holding the order number + phone/email (or a tracking link) may see:
+ * progress and contents, but no address, phone, email or payment proof.
+ */
+export function toTrackingView(order) {
+  return {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    createdAt: order.createdAt,
+    timeline: buildStatusTimeline(order),
+    customerName: maskName(order.customerInfo?.name),
+    city: order.gift?.recipient?.address ? order.gift.recipient.city : order.customerInfo?.city,
+    items: order.items.map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      imageUrl: item.imageUrl,
+    })),
+    totalAmount: order.totalAmount,
+    estimatedDelivery: order.shipping?.estimatedDelivery,
+    scheduledDelivery: order.gift?.delivery?.date
+      ? { date: order.gift.delivery.date, timeSlot: order.gift.delivery.timeSlotLabel || order.gift.delivery.timeSlot }
+      : null,
+    shipment: {
+      courier: order.shipment?.courier || "",
+      trackingNumber: order.shipment?.trackingNumber || "",
+      trackingUrl: order.shipment?.trackingUrl || "",
+      events: (order.shipment?.events || []).map(({ status, description, location, occurredAt }) => ({
+        status,
+        description,
+        location,
+        occurredAt,
+      })),
+    },
+  };
+}
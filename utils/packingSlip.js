@@ -0,0 +1,54 @@
+// utils/packingSlip.js
+import { GIFT_WRAP_OPTIONS } from "./giftOptions.js";
+
+/**
+ * Data for the slip that goes in the parcel. Gift orders ship to the recipient,
+ * so prices and payment details are left out entirely.
+ * @param {Object} order - Order document
+ * @returns {Object} - Packing slip fields
+ */
+export function buildPackingSlip(order) {
+  const isGift = Boolean(order.gift?.isGift);
+  const recipient = order.gift?.recipient;
+  const shipTo = isGift && recipient?.name
+    ? {
+        name: recipient.name,
+        phone: recipient.phone,
+        address: recipient.address || order.customerInfo.address,
+        city: recipient.city || order.customerInfo.city,
+      }
+    : {
+        name: order.customerInfo.name,
+        phone: order.customerInfo.phone,
+        address: order.customerInfo.address,
+        city: order.customerInfo.city,
+      };
+
+  const slip = {
+    orderNumber: order.orderNumber,
+    orderDate: order.createdAt,
+    isGift,
+    shipTo,
+    items: order.items.map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      ...(isGift ? {} : { price: item.price, lineTotal: item.lineTotal }),
+    })),
+  };
+
+  if (isGift) {
+    const wrap = order.gift.wrap?.option || "none";
+    slip.gift = {
+      from: order.customerInfo.name,
+      message: order.gift.message || "",
+      wrap: GIFT_WRAP_OPTIONS[wrap]?.label || wrap,
+      deliveryDate: order.gift.delivery?.date || "",
+      timeSlot: order.gift.delivery?.timeSlotLabel || order.gift.delivery?.timeSlot || "",
+    };
+  } else {
+    slip.totalAmount = order.totalAmount;
+    slip.paymentMethod = order.paymentInfo?.method;
+  }
+
+  return slip;
+}
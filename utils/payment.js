@@ -0,0 +1,96 @@
+// utils/payment.js
+import Order from "../models/Order.js";
+import { roundMoney } from "./pricing.js";
+
+// Payment verification lifecycle, kept separate from the fulfillment status
+export const PAYMENT_STATUS_TRANSITIONS = {
+  awaiting_proof: ["under_review", "verified", "rejected"],
+  cod_pending: ["cod_collected", "verified"], // Cash on delivery: collected by the courier, or received directly
+  cod_collected: ["verified"], // Courier holds the cash until it is remitted to us
+  under_review: ["under_review", "verified", "rejected"], // under_review -> under_review records a partial payment
+  rejected: ["under_review", "verified"],
+  verified: ["refunded"],
+  refunded: [],
+};
+
+export const PAYMENT_STATUSES = Object.keys(PAYMENT_STATUS_TRANSITIONS);
+
+// Fulfillment statuses that need a verified payment first (COD orders are exempt)
+export const PAYMENT_REQUIRED_STATUSES = ["processing", "dispatched", "delivered"];
+
+export const PAYMENT_METHODS = ["easypaisa", "bank", "cod"];
+
+export const isCashOnDelivery = (method) => String(method || "").toLowerCase() === "cod";
+
+// Who took the cash at the door: a courier remits it later, our own rider hands it straight over
+export const COD_COLLECTORS = ["courier", "rider"];
+
+// Starting payment status for a new order
+export const initialPaymentStatus = (paymentInfo) => {
+  if (isCashOnDelivery(paymentInfo?.method)) return "cod_pending";
+  return paymentInfo?.screenshotUrl ? "under_review" : "awaiting_proof";
+};
+
+/**
+ * Check whether the order's payment allows it to move to `nextStatus`.
+ * @returns {string|null} - Refusal reason, or null when allowed
+ */
+export function getPaymentGateError(order, nextStatus) {
+  if (!PAYMENT_REQUIRED_STATUSES.includes(nextStatus)) return null;
+  if (isCashOnDelivery(order.paymentInfo?.method)) return null;
+  if (order.paymentStatus === "verified") return null;
+  return `Payment is ${order.paymentStatus || "awaiting_proof"}. Verify the payment before moving the order to ${nextStatus}.`;
+}
+
+/**
+ * Move an order's payment to a new status and record it in paymentHistory.
+ * @param {Object} order - Order document in its current state
+ * @param {string} nextStatus - Target payment status
+ * @param {Object} options - { actor, note, update, increment, match } where update holds extra $set fields,
+ *   increment extra $inc fields, and match extra conditions the stored order must still meet
+ * @returns {Promise<Object>} - { success, order } or { success: false, httpStatus, message }
+ */
+export async function changePaymentStatus(order, nextStatus, { actor, note, update = {}, increment, match = {} } = {}) {
+  const current = order.paymentStatus || "awaiting_proof";
+  if (!(PAYMENT_STATUS_TRANSITIONS[current] || []).includes(nextStatus)) {
+    return {
+      success: false,
+      httpStatus: 400,
+      message: `Cannot change payment from ${current} to ${nextStatus}`,
+    };
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    // Orders placed before payment tracking have no paymentStatus stored yet
+    { ...match, _id: order._id, paymentStatus: current === "awaiting_proof" ? { $in: [current, null] } : current },
+    {
+      $set: { ...update, paymentStatus: nextStatus },
+      ...(increment ? { $inc: increment } : {}),
+      $push: {
+        paymentHistory: {
+          status: nextStatus,
+          from: current,
+          changedAt: new Date(),
+          changedBy: actor?.id || null,
+          changedByRole: actor?.role || "system",
+          note: note || "",
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return {
+      success: false,
+      httpStatus: 409,
+      message: "Payment was changed by someone else. Please refresh and try again.",
+    };
+  }
+
+  return { success: true, order: updated };
+}
+
+// Outstanding amount after recorded payments
+export const getBalanceDue = (order) =>
+  roundMoney(Math.max(order.totalAmount - (order.paymentInfo?.amountReceived || 0), 0));
@@ -0,0 +1,138 @@
+// utils/pricing.js
+import mongoose from "mongoose";
+import moment from "moment-timezone";
+import Product from "../models/Product.js";
+import { findVariant, variantLabel } from "./variants.js";
+import { STORE_TIMEZONE } from "../config/store.js";
+
+// Allowed difference between client and server amounts (rounding noise only)
+const PRICE_TOLERANCE = 0.01;
+
+export const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Apply the product's current discount to any base price (product or variant)
+export const discountedPrice = (price, { discountActive, discountPercentage }) =>
+  roundMoney(discountActive ? price - (price * discountPercentage) / 100 : price);
+
+// ===== Helper: Discount Logic =====
+export function getDiscountInfo(product) {
+  const now = moment().tz(STORE_TIMEZONE);
+  let discountActive = false;
+  let discountExpiry = null;
+
+  if (product.discountPercentage > 0 && product.discountStart && product.discountEnd) {
+    const discountStart = moment(product.discountStart).tz(STORE_TIMEZONE);
+    const discountEnd = moment(product.discountEnd).tz(STORE_TIMEZONE);
+
+    discountActive = now.isBetween(discountStart, discountEnd, null, "[]");
+    // Send ISO so frontend can localize precisely without double converting
+    discountExpiry = discountEnd.toISOString();
+  }
+
+  return {
+    discountActive,
+    discountExpiry,
+    finalPrice: discountActive ? product.getFinalPrice() : product.price,
+    discountPercentage: product.discountPercentage || 0,
+  };
+}
+
+/**
+ * Price cart lines from the catalogue, ignoring any client-sent prices.
+ * @param {Array} items - Raw cart lines ({ productId, variantId?, quantity, price? })
+ * @returns {Promise<Object>} - { items, subtotal, errors }
+ */
+export async function priceOrderItems(items) {
+  const errors = [];
+  const ids = items
+    .map((item) => item.productId)
+    .filter((id) => id && mongoose.Types.ObjectId.isValid(id));
+
+  const products = await Product.find({ _id: { $in: ids } });
+  const productsById = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const pricedItems = [];
+  items.forEach((item, index) => {
+    const quantity = Number(item.quantity);
+    if (!item.productId || !mongoose.Types.ObjectId.isValid(item.productId)) {
+      errors.push({ index, name: item.name, message: "Invalid product" });
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push({ index, productId: item.productId, name: item.name, message: "Quantity must be a whole number of at least 1" });
+      return;
+    }
+
+    const product = productsById.get(String(item.productId));
+    if (!product) {
+      errors.push({ index, productId: item.productId, name: item.name, message: "Product no longer available" });
+      return;
+    }
+
+    // Products with variants are bought as one specific variant
+    let variant = null;
+    if (product.variants?.length > 0) {
+      if (!item.variantId) {
+        errors.push({ index, productId: item.productId, name: product.name, message: "Please choose an option for this product" });
+        return;
+      }
+      variant = findVariant(product, item.variantId);
+      if (!variant || !variant.isActive) {
+        errors.push({ index, productId: item.productId, name: product.name, message: "The selected option is no longer available" });
+        return;
+      }
+    }
+
+    const discount = getDiscountInfo(product);
+    const basePrice = variant?.price ?? product.price;
+    const unitPrice = discountedPrice(basePrice, discount);
+    const label = variant ? variantLabel(product, variant) : "";
+
+    pricedItems.push({
+      productId: product._id,
+      ...(variant ? { variantId: variant._id, sku: variant.sku, variantLabel: label } : {}),
+      name: label ? `${product.name} (${label})` : product.name,
+      quantity,
+      price: unitPrice,
+      listPrice: roundMoney(basePrice),
+      discountPercentage: discount.discountActive ? discount.discountPercentage : 0,
+      lineTotal: roundMoney(unitPrice * quantity),
+      imageUrl: variant?.imageUrl || product.imageUrl || item.imageUrl || "",
+      category: product.category || "",
+      clientPrice: item.price,
+    });
+  });
+
+  const subtotal = roundMoney(pricedItems.reduce((sum, item) => sum + item.lineTotal, 0));
+
+  return { items: pricedItems, subtotal, errors };
+}
+
+/**
+ * Compare client-sent prices and total against the server quote.
+ * @returns {Array} - List of mismatches (empty when everything agrees)
+ */
+export function findPriceMismatches(pricedItems, clientTotal, serverTotal) {
+  const mismatches = [];
+
+  pricedItems.forEach((item) => {
+    if (item.clientPrice === undefined || item.clientPrice === null) return;
+    const sent = Number(item.clientPrice);
+    if (Number.isNaN(sent) || Math.abs(sent - item.price) > PRICE_TOLERANCE) {
+      mismatches.push({
+        productId: item.productId,
+        name: item.name,
+        field: "price",
+        sent: item.clientPrice,
+        expected: item.price,
+      });
+    }
+  });
+
+  const sentTotal = Number(clientTotal);
+  if (Number.isNaN(sentTotal) || Math.abs(sentTotal - serverTotal) > PRICE_TOLERANCE) {
+    mismatches.push({ field: "totalAmount", sent: clientTotal, expected: serverTotal });
+  }
+
+  return mismatches;
+}
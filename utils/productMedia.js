@@ -0,0 +1,145 @@
+// utils/productMedia.js
+import { uploadAsset, deleteAsset, assetFromUrl } from "./storage/index.js";
+
+export const MAX_MEDIA_ITEMS = 20;
+
+const MEDIA_FOLDERS = { image: "products/images", video: "products/videos" };
+
+const mediaTypeOf = (file) => (file.mimetype.startsWith("video/") ? "video" : "image");
+
+// Alt text arrives as a JSON array (one per file, in upload order) or a single string
+export function parseAltTexts(input) {
+  if (Array.isArray(input)) return input.map((text) => String(text ?? ""));
+  if (typeof input !== "string" || !input) return [];
+  try {
+    const parsed = JSON.parse(input);
+    if (Array.isArray(parsed)) return parsed.map((text) => String(text ?? ""));
+  } catch {
+    // plain string
+  }
+  return [input];
+}
+
+// Products from before the gallery only have imageUrl/videoUrl; turn those into gallery items once
+export function seedLegacyMedia(product) {
+  if (product.media.length > 0) return;
+  [
+    { mediaType: "image", url: product.imageUrl, isPrimary: true },
+    { mediaType: "video", url: product.videoUrl },
+  ]
+    .filter((item) => item.url)
+    .forEach((item) => product.media.push({ ...item, publicId: assetFromUrl(item.url)?.publicId || "" }));
+}
+
+/**
+ * Files from an upload request as gallery uploads. The single `image`/`video` fields of the
+ * product form come first and replace the current primary image / first video; `media`
+ * files are added to the gallery with `altText` (one per file).
+ * @returns {Array} - [{ file, altText, replaces }]
+ */
+export function collectMediaUploads(files = {}, altText) {
+  const altTexts = parseAltTexts(altText);
+  return [
+    ...[...(files.image || []), ...(files.video || [])].map((file) => ({ file, replaces: mediaTypeOf(file) })),
+    ...(files.media || []).map((file, index) => ({ file, altText: altTexts[index] })),
+  ];
+}
+
+/**
+ * Upload to media storage as gallery items (not yet added to a product).
+ * If one upload fails, the ones already uploaded are deleted again.
+ * @param {Array} uploads - From collectMediaUploads
+ * @returns {Promise<Array>} - [{ mediaType, url, publicId, altText, replaces }]
+ */
+export async function uploadMediaFiles(uploads = []) {
+  const uploaded = [];
+  try {
+    for (const { file, altText, replaces } of uploads) {
+      const mediaType = mediaTypeOf(file);
+      const asset = await uploadAsset(file, MEDIA_FOLDERS[mediaType]);
+      uploaded.push({ mediaType, url: asset.url, publicId: asset.publicId, altText: (altText || "").trim(), replaces });
+    }
+  } catch (err) {
+    await deleteMediaAssets(uploaded);
+    throw err;
+  }
+  return uploaded;
+}
+
+/**
+ * Add uploaded items to the product gallery (unsaved).
+ * @returns {Array} - Items that were replaced; delete their assets once the product is saved
+ */
+export function addMediaItems(product, uploaded) {
+  seedLegacyMedia(product);
+  const replaced = [];
+  for (const { replaces, ...item } of uploaded) {
+    const target =
+      (replaces === "image" && product.media.find((m) => m.isPrimary)) ||
+      (replaces === "video" && product.media.find((m) => m.mediaType === "video")) ||
+      null;
+    if (target) {
+      replaced.push(target.toObject());
+      target.set({ ...item, altText: item.altText || target.altText });
+    } else {
+      product.media.push({ ...item, isPrimary: replaces === "image" });
+    }
+  }
+  return replaced;
+}
+
+// Gallery fields for an update that doesn't go through save(): one primary image and the
+// single imageUrl/videoUrl fields, set the way the pre-save hook sets them
+export function galleryFields(product) {
+  const media = product.media.map((item) => item.toObject());
+  const images = media.filter((item) => item.mediaType === "image");
+  const primary = images.find((item) => item.isPrimary) || images[0];
+  images.forEach((item) => {
+    item.isPrimary = item === primary;
+  });
+  return {
+    media,
+    imageUrl: primary?.url || "",
+    videoUrl: media.find((item) => item.mediaType === "video")?.url || "",
+  };
+}
+
+// Gallery size after adding `uploads` (replacements don't add an item)
+export function mediaCountAfter(product, uploads) {
+  const current = product.media?.length || [product.imageUrl, product.videoUrl].filter(Boolean).length;
+  return current + uploads.filter((upload) => !upload.replaces).length;
+}
+
+// Make `mediaId` the primary image; the pre-save hook clears the flag on the others
+export function setPrimaryMedia(product, mediaId) {
+  const item = product.media.id(mediaId);
+  if (!item) return { success: false, httpStatus: 404, message: "Media item not found" };
+  if (item.mediaType !== "image") return { success: false, httpStatus: 400, message: "Only an image can be the primary media" };
+  product.media.forEach((other) => {
+    other.isPrimary = other === item;
+  });
+  return { success: true };
+}
+
+/**
+ * Put the gallery in the given order. `mediaIds` must list every item exactly once.
+ */
+export function reorderMedia(product, mediaIds) {
+  const ids = Array.isArray(mediaIds) ? mediaIds.map(String) : [];
+  const current = product.media.map((item) => String(item._id));
+  if (ids.length !== current.length || new Set(ids).size !== ids.length || ids.some((id) => !current.includes(id))) {
+    return { success: false, httpStatus: 400, message: "order must list every media item of the product exactly once" };
+  }
+  const byId = new Map(product.media.map((item) => [String(item._id), item.toObject()]));
+  product.media = ids.map((id) => byId.get(id));
+  return { success: true };
+}
+
+// Delete assets after the database stops pointing at them; never throws
+export async function deleteMediaAssets(items = []) {
+  await Promise.all(
+    items
+      .filter((item) => item.url)
+      .map((item) => deleteAsset({ url: item.url, publicId: item.publicId, resourceType: item.mediaType }))
+  );
+}
@@ -0,0 +1,159 @@
+// utils/shipments.js
+import Order from "../models/Order.js";
+import { getCourierAdapter, SHIPMENT_EVENT_STATUSES, IN_TRANSIT_EVENTS } from "./couriers/index.js";
+import { canTransition, changeOrderStatus } from "./orderStatus.js";
+import { changePaymentStatus, isCashOnDelivery } from "./payment.js";
+
+// Orders that can be handed to a courier
+export const BOOKABLE_STATUSES = ["confirmed", "processing"];
+
+const courierActor = (courierKey) => ({ id: null, role: `courier:${courierKey}` });
+
+/**
+ * Book a shipment with a courier and store the consignment on the order.
+ * @param {Object} order - Order document
+ * @param {string} courierKey - Adapter key, e.g. "mock"
+ * @returns {Promise<Object>} - { success, order } or { success: false, httpStatus, message }
+ */
+export async function bookOrderShipment(order, courierKey) {
+  const adapter = getCourierAdapter(courierKey);
+  if (!adapter) {
+    return { success: false, httpStatus: 400, message: `Unknown courier: ${courierKey}` };
+  }
+  if (!BOOKABLE_STATUSES.includes(order.status)) {
+    return {
+      success: false,
+      httpStatus: 400,
+      message: `Only ${BOOKABLE_STATUSES.join(" or ")} orders can be booked. This order is ${order.status}.`,
+    };
+  }
+  if (order.shipment?.consignmentNumber) {
+    return {
+      success: false,
+      httpStatus: 409,
+      message: `Shipment already booked with ${order.shipment.courier} (${order.shipment.consignmentNumber})`,
+    };
+  }
+
+  const booking = await adapter.bookShipment(order);
+  const now = new Date();
+
+  // Conditional on no consignment so a double click can't overwrite the first booking
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, "shipment.consignmentNumber": { $in: ["", null] } },
+    {
+      $set: {
+        "shipment.courier": adapter.key,
+        "shipment.consignmentNumber": booking.consignmentNumber,
+        "shipment.trackingNumber": booking.consignmentNumber,
+        "shipment.trackingUrl": booking.trackingUrl || "",
+        "shipment.labelUrl": booking.labelUrl || "",
+        "shipment.bookedAt": now,
+        "shipment.lastEvent": "booked",
+        "shipment.lastEventAt": now,
+      },
+      $push: { "shipment.events": { status: "booked", description: `Booked with ${adapter.label}`, occurredAt: now } },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    console.warn(`⚠️ Consignment ${booking.consignmentNumber} booked but order ${order.orderNumber} was booked concurrently`);
+    return { success: false, httpStatus: 409, message: "Shipment was booked by someone else. Please refresh." };
+  }
+
+  return { success: true, order: updated };
+}
+
+/**
+ * Record one normalized courier event and move the order along:
+ * pickup/transit events dispatch it, "delivered" delivers it and a failed attempt flags it.
+ * @param {string} courierKey - Courier that sent the event
+ * @param {Object} event - { consignmentNumber, status, occurredAt, location, description }
+ * @returns {Promise<Object>} - { success, order, statusChanged } or { success: false, message }
+ */
+export async function applyShipmentEvent(courierKey, event) {
+  if (!event.consignmentNumber) return { success: false, message: "Missing consignment number" };
+  if (!SHIPMENT_EVENT_STATUSES.includes(event.status)) {
+    return { success: false, message: `Unknown shipment status: ${event.status}` };
+  }
+  const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+  if (Number.isNaN(occurredAt.getTime())) return { success: false, message: "Invalid occurredAt" };
+
+  const isFailure = event.status === "delivery_failed";
+  // Couriers retry webhooks, so the same status at the same time is stored only once
+  const order = await Order.findOneAndUpdate(
+    {
+      "shipment.courier": courierKey,
+      "shipment.consignmentNumber": event.consignmentNumber,
+      "shipment.events": { $not: { $elemMatch: { status: event.status, occurredAt } } },
+    },
+    {
+      $set: {
+        "shipment.lastEvent": event.status,
+        "shipment.lastEventAt": occurredAt,
+        ...(isFailure ? { "shipment.deliveryIssue": true } : {}),
+        ...(event.status === "delivered" ? { "shipment.deliveryIssue": false } : {}),
+      },
+      ...(isFailure ? { $inc: { "shipment.failedAttempts": 1 } } : {}),
+      $push: {
+        "shipment.events": {
+          status: event.status,
+          description: event.description || "",
+          location: event.location || "",
+          occurredAt,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!order) {
+    const exists = await Order.exists({ "shipment.courier": courierKey, "shipment.consignmentNumber": event.consignmentNumber });
+    return exists
+      ? { success: true, duplicate: true }
+      : { success: false, message: `No order for consignment ${event.consignmentNumber}` };
+  }
+
+  if (isFailure) {
+    console.warn(`⚠️ Delivery attempt failed for ${order.orderNumber}: ${event.description || "no reason given"}`);
+  }
+
+  // Walk the order forward through dispatched to delivered as far as the event allows
+  const targets = [];
+  if (IN_TRANSIT_EVENTS.includes(event.status)) targets.push("dispatched");
+  if (event.status === "delivered") targets.push("dispatched", "delivered");
+
+  let current = order;
+  let statusChanged = false;
+  for (const target of targets) {
+    if (!canTransition(current.status, target)) continue;
+    const result = await changeOrderStatus(current, target, {
+      actor: courierActor(courierKey),
+      note: [event.description, event.location].filter(Boolean).join(" - ") || `Courier reported ${event.status}`,
+    });
+    if (!result.success) {
+      // e.g. payment not verified yet; the event is stored and an admin can move the order by hand
+      console.warn(`⚠️ Courier event could not move ${order.orderNumber} to ${target}: ${result.message}`);
+      break;
+    }
+    current = result.order;
+    statusChanged = true;
+  }
+
+  // The courier took the cash at the door; it's ours once they remit it
+  if (event.status === "delivered" && isCashOnDelivery(current.paymentInfo?.method) && current.paymentStatus === "cod_pending") {
+    const collected = await changePaymentStatus(current, "cod_collected", {
+      actor: courierActor(courierKey),
+      note: `Rs.${current.totalAmount} collected by ${courierKey} on delivery`,
+      update: {
+        "paymentInfo.cod.collectedAmount": current.totalAmount,
+        "paymentInfo.cod.collectedAt": occurredAt,
+        "paymentInfo.cod.collectedBy": "courier",
+      },
+    });
+    if (collected.success) current = collected.order;
+  }
+
+  return { success: true, order: current, statusChanged };
+}
@@ -0,0 +1,73 @@
+// utils/shipping.js
+import ShippingZone from "../models/ShippingZone.js";
+import { roundMoney } from "./pricing.js";
+import { DEFAULT_SHIPPING_FEE } from "../config/store.js";
+
+export const normalizeLocation = (value) => String(value || "").trim().toLowerCase();
+
+// Used only while no zones are configured (e.g. a fresh deploy), so checkout still works
+const FALLBACK_ZONE = {
+  _id: null,
+  name: "Standard Delivery",
+  flatFee: DEFAULT_SHIPPING_FEE,
+  freeShippingThreshold: null,
+  estimatedDelivery: { minDays: 2, maxDays: 5 },
+  codAllowed: true,
+  isFallback: true,
+};
+
+/**
+ * Find the active zone for an address: city match first, then province, then the default zone.
+ * With no active zones at all, every address gets FALLBACK_ZONE.
+ * @returns {Promise<Object|null>} - ShippingZone document or null when we don't deliver there
+ */
+export async function findShippingZone({ city, province }) {
+  const cityKey = normalizeLocation(city);
+  const provinceKey = normalizeLocation(province);
+
+  if (cityKey) {
+    const zone = await ShippingZone.findOne({ isActive: true, cities: cityKey });
+    if (zone) return zone;
+  }
+  if (provinceKey) {
+    const zone = await ShippingZone.findOne({ isActive: true, provinces: provinceKey });
+    if (zone) return zone;
+  }
+  const defaultZone = await ShippingZone.findOne({ isActive: true, isDefault: true });
+  if (defaultZone) return defaultZone;
+
+  if (!(await ShippingZone.exists({ isActive: true }))) {
+    console.warn("⚠️ No shipping zones configured; using the fallback delivery fee");
+    return FALLBACK_ZONE;
+  }
+  return null;
+}
+
+/**
+ * Delivery charge for a zone given the merchandise amount (after discounts).
+ * @returns {Object} - { fee, freeShippingApplied, amountToFreeShipping }
+ */
+export function calculateShippingFee(zone, merchandiseTotal) {
+  const threshold = zone.freeShippingThreshold;
+  if (threshold !== null && threshold !== undefined && merchandiseTotal >= threshold) {
+    return { fee: 0, freeShippingApplied: true, amountToFreeShipping: 0 };
+  }
+
+  return {
+    fee: roundMoney(zone.flatFee),
+    freeShippingApplied: false,
+    amountToFreeShipping:
+      threshold !== null && threshold !== undefined ? roundMoney(threshold - merchandiseTotal) : null,
+  };
+}
+
+// Zone details safe to show customers and store on orders
+export const summarizeZone = (zone) => ({
+  zone: zone._id,
+  zoneName: zone.name,
+  estimatedDelivery: {
+    minDays: zone.estimatedDelivery?.minDays,
+    maxDays: zone.estimatedDelivery?.maxDays,
+  },
+  codAllowed: zone.codAllowed,
+});
@@ -0,0 +1,162 @@
+// utils/stockAlerts.js
+import moment from "moment-timezone";
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import StockAlert from "../models/StockAlert.js";
+import { sendStockAlertEmail } from "./emailService.js";
+import {
+  STORE_TIMEZONE,
+  STOCK_ALERT_MODE,
+  STOCK_ALERT_DIGEST_HOUR,
+  SALES_VELOCITY_DAYS,
+  REORDER_COVER_DAYS,
+} from "../config/store.js";
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Units sold per product over the last `days` days (cancelled orders excluded).
+ * @param {Array} productIds - Limit to these products (all products when omitted)
+ * @returns {Promise<Map>} - productId string -> { unitsSold, unitsPerDay }
+ */
+export async function getSalesVelocity(productIds, days = SALES_VELOCITY_DAYS) {
+  const since = moment().tz(STORE_TIMEZONE).subtract(days, "days").toDate();
+  const itemMatch = productIds
+    ? { "items.productId": { $in: productIds.map((id) => new mongoose.Types.ObjectId(String(id))) } }
+    : {};
+
+  const rows = await Order.aggregate([
+    { $match: { status: { $ne: "cancelled" }, createdAt: { $gte: since }, ...itemMatch } },
+    { $unwind: "$items" },
+    { $match: itemMatch },
+    { $group: { _id: "$items.productId", unitsSold: { $sum: "$items.quantity" } } },
+  ]);
+
+  return new Map(
+    rows.map(({ _id, unitsSold }) => [String(_id), { unitsSold, unitsPerDay: Math.round((unitsSold / days) * 100) / 100 }])
+  );
+}
+
+// Enough to cover REORDER_COVER_DAYS of recent sales and get back above the threshold
+export const suggestReorderQuantity = (stock, threshold, unitsPerDay) =>
+  Math.max(Math.ceil(unitsPerDay * REORDER_COVER_DAYS) + threshold + 1 - Math.max(stock, 0), 0);
+
+/**
+ * Products at or below their low-stock threshold, or with a variant that is, fastest sellers first.
+ * @returns {Promise<Array>} - [{ _id, name, stock, stockStatus, lowStockThreshold, lowVariants, unitsSold, unitsPerDay, daysOfStockLeft, suggestedReorder }]
+ */
+export async function getLowStockReport(days = SALES_VELOCITY_DAYS) {
+  const products = await Product.find({
+    $or: [
+      { $expr: { $lte: ["$stock", { $ifNull: ["$lowStockThreshold", DEFAULT_LOW_STOCK_THRESHOLD] }] } },
+      { variants: { $elemMatch: { isActive: { $ne: false }, stockStatus: { $ne: "in_stock" } } } },
+    ],
+  })
+    .select("name category imageUrl stock stockStatus lowStockThreshold variants._id variants.sku variants.stock variants.stockStatus variants.isActive")
+    .lean();
+
+  const velocity = await getSalesVelocity(products.map((p) => p._id), days);
+
+  return products
+    .map((product) => {
+      const { unitsSold = 0, unitsPerDay = 0 } = velocity.get(String(product._id)) || {};
+      const threshold = product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+      const { variants = [], ...rest } = product;
+      return {
+        ...rest,
+        lowVariants: variants
+          .filter((v) => v.isActive !== false && v.stockStatus !== "in_stock")
+          .map(({ _id, sku, stock, stockStatus }) => ({ _id, sku, stock, stockStatus })),
+        unitsSold,
+        unitsPerDay,
+        daysOfStockLeft: unitsPerDay > 0 ? Math.floor(Math.max(product.stock, 0) / unitsPerDay) : null,
+        suggestedReorder: suggestReorderQuantity(product.stock, threshold, unitsPerDay),
+      };
+    })
+    .sort((a, b) => b.unitsPerDay - a.unitsPerDay || a.stock - b.stock);
+}
+
+async function emailAlerts(alerts, { digest }) {
+  if (alerts.length === 0) return { success: true, sent: 0 };
+  const result = await sendStockAlertEmail({ alerts, digest });
+  if (result.success) {
+    await StockAlert.updateMany({ _id: { $in: alerts.map((a) => a._id) } }, { notifiedAt: new Date() });
+  }
+  return { ...result, sent: result.success ? alerts.length : 0 };
+}
+
+/**
+ * Raise an alert when a stock change crosses the product into low_stock or out_of_stock.
+ * Called after every ledger entry; never throws.
+ * @param {Object} product - Product document after the change
+ * @param {number} delta - Signed change that was just applied
+ */
+export async function checkStockAlert(product, delta) {
+  try {
+    const threshold = product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+    const after = product.stock;
+    const before = after - delta;
+
+    let level = null;
+    if (after <= 0 && before > 0) level = "out_of_stock";
+    else if (after <= threshold && before > threshold) level = "low_stock";
+    if (!level) return null;
+
+    const velocity = await getSalesVelocity([product._id]);
+    const { unitsPerDay = 0 } = velocity.get(String(product._id)) || {};
+    const alert = await StockAlert.create({
+      product: product._id,
+      productName: product.name,
+      level,
+      stock: after,
+      lowStockThreshold: threshold,
+      unitsPerDay,
+      suggestedReorder: suggestReorderQuantity(after, threshold, unitsPerDay),
+    });
+    console.log(`📉 ${product.name} is ${level.replace("_", " ")} (${after} left)`);
+
+    if (STOCK_ALERT_MODE === "immediate") {
+      // Alerts whose email failed earlier go out with this one instead of waiting forever
+      const older = await StockAlert.find({ _id: { $ne: alert._id }, notifiedAt: null }).sort({ createdAt: 1 });
+      await emailAlerts([alert, ...older], { digest: false });
+    }
+    return alert;
+  } catch (err) {
+    console.error(`❌ Stock alert check failed for ${product?._id}:`, err.message);
+    return null;
+  }
+}
+
+// Email every alert that hasn't been sent yet as one message
+export async function sendStockAlertDigest() {
+  const pending = await StockAlert.find({ notifiedAt: null }).sort({ createdAt: 1 });
+  return emailAlerts(pending, { digest: true });
+}
+
+/**
+ * In digest mode, send the digest every day at STOCK_ALERT_DIGEST_HOUR store time.
+ * Unsent alerts are kept in the database, so a restart never loses them.
+ */
+export function scheduleStockAlertDigest() {
+  if (STOCK_ALERT_MODE !== "digest") return;
+
+  const run = async () => {
+    try {
+      const result = await sendStockAlertDigest();
+      console.log(`📬 Stock alert digest: ${result.sent} alerts sent`);
+    } catch (err) {
+      console.error("❌ Stock alert digest failed:", err);
+    }
+  };
+
+  const now = moment().tz(STORE_TIMEZONE);
+  const next = now.clone().startOf("day").add(STOCK_ALERT_DIGEST_HOUR, "hours");
+  if (!next.isAfter(now)) next.add(1, "day");
+
+  setTimeout(() => {
+    run();
+    setInterval(run, 24 * 60 * 60 * 1000).unref();
+  }, next.diff(now)).unref();
+  console.log(`⏰ Stock alert digest scheduled for ${next.format("YYYY-MM-DD HH:mm")} (${STORE_TIMEZONE})`);
+}
@@ -0,0 +1,62 @@
+// utils/storage/cloudinaryStorage.js
+import { v2 as cloudinary } from "cloudinary";
+import "../../config/store.js"; // loads .env before the config below reads it
+
+// Cloudinary config (env variables use karo)
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const hasCloudinaryConfig = () =>
+  Boolean(process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET && process.env.CLOUDINARY_CLOUD_NAME);
+
+// e.g. https://res.cloudinary.com/demo/image/upload/v1712/products/images/abc.jpg -> products/images/abc
+const DELIVERY_URL = /res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:.+\/)?v\d+\/(.+?)(?:\.\w+)?$/;
+
+const CROP_MODES = { cover: "c_fill", contain: "c_fit" };
+
+const cloudinaryStorage = {
+  key: "cloudinary",
+
+  async upload(file, { folder }) {
+    if (!hasCloudinaryConfig()) {
+      throw new Error("Cloudinary environment variables missing");
+    }
+    try {
+      // Use resource_type: 'auto' so both images and videos are supported
+      const result = await cloudinary.uploader.upload(file.path, { resource_type: "auto", folder });
+      return { url: result.secure_url, publicId: result.public_id, resourceType: result.resource_type };
+    } catch (err) {
+      throw new Error("Cloudinary upload failed: " + err.message);
+    }
+  },
+
+  async remove(publicId, resourceType = "image") {
+    if (!hasCloudinaryConfig()) return false;
+    const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, invalidate: true });
+    return result.result === "ok" || result.result === "not found";
+  },
+
+  // Public ID and resource type from a delivery URL, for assets stored without their ID
+  fromUrl(url) {
+    const match = DELIVERY_URL.exec(url || "");
+    return match ? { resourceType: match[1], publicId: match[2] } : null;
+  },
+
+  // Cloudinary resizes on the fly from transformation parameters in the URL
+  transformUrl(url, { width, height, fit = "cover", format, quality }) {
+    if (!url.includes("/image/upload/")) return url;
+    const params = [
+      width || height ? CROP_MODES[fit] || CROP_MODES.cover : null,
+      width ? `w_${width}` : null,
+      height ? `h_${height}` : null,
+      format ? `f_${format}` : null,
+      quality ? `q_${quality}` : null,
+    ].filter(Boolean);
+    return params.length > 0 ? url.replace("/image/upload/", `/image/upload/${params.join(",")}/`) : url;
+  },
+};
+
+export default cloudinaryStorage;
@@ -0,0 +1,90 @@
+// utils/storage/index.js
+import fs from "fs";
+import cloudinaryStorage from "./cloudinaryStorage.js";
+import localStorage from "./localStorage.js";
+import { MEDIA_STORAGE } from "../../config/store.js";
+
+// Provider interface: { key, upload(file, { folder }), remove(publicId, resourceType), fromUrl(url), transformUrl(url, transform) }
+const PROVIDERS = { cloudinary: cloudinaryStorage, local: localStorage };
+
+if (!MEDIA_STORAGE) {
+  throw new Error(
+    `No media storage configured. Set the CLOUDINARY_* variables or MEDIA_STORAGE (${Object.keys(PROVIDERS).join(", ")})`
+  );
+}
+const storage = PROVIDERS[MEDIA_STORAGE];
+if (!storage) {
+  throw new Error(`Unknown MEDIA_STORAGE "${MEDIA_STORAGE}". Use one of: ${Object.keys(PROVIDERS).join(", ")}`);
+}
+// Stored URLs would point at localhost and break for every visitor
+if (storage === localStorage && process.env.NODE_ENV === "production" && !process.env.MEDIA_PUBLIC_URL) {
+  throw new Error("MEDIA_PUBLIC_URL must be set when MEDIA_STORAGE=local in production");
+}
+
+// Multer writes uploads here; providers take the file from there
+export const UPLOAD_TEMP_DIR = "uploads/tmp";
+
+// Image sizes described once; each provider turns them into its own URL (or ignores them)
+export const MEDIA_TRANSFORMS = {
+  thumbnail: { width: 300, height: 300, fit: "cover", format: "auto", quality: "auto" },
+  card: { width: 600, height: 600, fit: "cover", format: "auto", quality: "auto" },
+  zoom: { width: 1600, fit: "contain", format: "auto", quality: "auto" },
+};
+
+export const getStorageProvider = () => storage;
+
+// Assets keep working after MEDIA_STORAGE changes, so pick the provider that owns the URL
+const providerFor = (url) => Object.values(PROVIDERS).find((provider) => provider.fromUrl(url)) || null;
+
+/**
+ * Store an uploaded file with the configured provider. The multer temp file is always removed.
+ * @param {Object} file - Multer file ({ path, mimetype, originalname })
+ * @param {string} folder - e.g. "products/images"
+ * @returns {Promise<Object>} - { url, publicId, resourceType }
+ */
+export async function uploadAsset(file, folder) {
+  try {
+    return await storage.upload(file, { folder });
+  } finally {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+export async function uploadFile(file, folder) {
+  const { url } = await uploadAsset(file, folder);
+  return url;
+}
+
+// Public ID and resource type from a stored URL, for assets saved before IDs were kept
+export function assetFromUrl(url) {
+  return providerFor(url)?.fromUrl(url) || null;
+}
+
+/**
+ * Delete a stored asset. Failures are logged, never thrown: the database no longer
+ * points at the asset, so at worst it is left orphaned.
+ * @param {Object} asset - { url, publicId, resourceType }
+ * @returns {Promise<boolean>} - true when the asset is gone
+ */
+export async function deleteAsset({ url, publicId, resourceType }) {
+  const provider = providerFor(url);
+  const id = publicId || provider?.fromUrl(url)?.publicId;
+  if (!provider || !id) return false;
+  try {
+    return await provider.remove(id, resourceType || provider.fromUrl(url)?.resourceType || "image");
+  } catch (err) {
+    console.error(`❌ Failed to delete ${provider.key} asset ${id}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * URL of a resized version of a stored image.
+ * @param {string} url - Stored asset URL
+ * @param {string|Object} transform - A MEDIA_TRANSFORMS name or { width, height, fit, format, quality }
+ */
+export function mediaUrl(url, transform) {
+  const spec = typeof transform === "string" ? MEDIA_TRANSFORMS[transform] : transform;
+  const provider = providerFor(url);
+  return url && spec && provider ? provider.transformUrl(url, spec) : url || "";
+}
@@ -0,0 +1,80 @@
+// utils/storage/localStorage.js
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { LOCAL_MEDIA_DIR, MEDIA_PUBLIC_URL } from "../../config/store.js";
+
+// Files live under LOCAL_MEDIA_DIR and are served by the static /media route in server.js
+export const LOCAL_MEDIA_ROOT = path.resolve(LOCAL_MEDIA_DIR);
+
+const EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/jpg": ".jpg",
+  "image/webp": ".webp",
+  "video/mp4": ".mp4",
+  "video/webm": ".webm",
+  "video/ogg": ".ogv",
+  "video/quicktime": ".mov",
+};
+
+// Never let a public ID point outside the media folder
+function resolveInside(publicId) {
+  const fullPath = path.resolve(LOCAL_MEDIA_ROOT, publicId);
+  return fullPath.startsWith(LOCAL_MEDIA_ROOT + path.sep) ? fullPath : null;
+}
+
+// Temp files from multer may be on another disk, where rename doesn't work
+async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+const localStorage = {
+  key: "local",
+
+  async upload(file, { folder }) {
+    const extension = EXTENSIONS[file.mimetype] || path.extname(file.originalname || "").toLowerCase();
+    const publicId = path.posix.join(folder, `${Date.now()}-${crypto.randomBytes(6).toString("hex")}${extension}`);
+    const destination = resolveInside(publicId);
+    if (!destination) throw new Error(`Invalid media folder: ${folder}`);
+
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await moveFile(file.path, destination);
+    return {
+      url: `${MEDIA_PUBLIC_URL}/${publicId}`,
+      publicId,
+      resourceType: file.mimetype?.startsWith("video/") ? "video" : "image",
+    };
+  },
+
+  async remove(publicId) {
+    const fullPath = resolveInside(publicId);
+    if (!fullPath) return false;
+    try {
+      await fs.unlink(fullPath);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    return true;
+  },
+
+  fromUrl(url) {
+    const prefix = `${MEDIA_PUBLIC_URL}/`;
+    if (!url?.startsWith(prefix)) return null;
+    const publicId = url.slice(prefix.length);
+    return { publicId, resourceType: /\.(mp4|webm|ogv|mov)$/i.test(publicId) ? "video" : "image" };
+  },
+
+  // No image processing on disk: local development gets the original file
+  transformUrl(url) {
+    return url;
+  },
+};
+
+export default localStorage;
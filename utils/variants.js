@@ -0,0 +1,145 @@
+// utils/variants.js
+import mongoose from "mongoose";
+
+const MAX_OPTION_AXES = 3;
+const MAX_VARIANTS = 100;
+
+// Option names become keys of variant.options, which Mongo maps can't start with "$" or contain "."
+const INVALID_OPTION_NAME = /^\$|\./;
+
+export const plainOptions = (options) => (options instanceof Map ? Object.fromEntries(options) : { ...(options || {}) });
+
+const parseJson = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+export function findVariant(product, variantId) {
+  if (!variantId) return null;
+  return (product.variants || []).find((variant) => String(variant._id) === String(variantId)) || null;
+}
+
+// "Size: 8x10 / Colour: Black", axes in the product's order
+export function variantLabel(product, variant) {
+  const values = plainOptions(variant.options);
+  return (product.options || [])
+    .filter((axis) => values[axis.name])
+    .map((axis) => `${axis.name}: ${values[axis.name]}`)
+    .join(" / ");
+}
+
+/**
+ * Check option axes and variants sent from the admin form (arrays or JSON strings).
+ * Variants are matched to existing ones by _id, then by SKU, so stored stock is kept.
+ * @param {Object} input - { options, variants }
+ * @param {Array} existing - The product's current variants
+ * @returns {Object} - { options, variants, stockChanges, removedIds } or { error }
+ *   stockChanges: [{ _id, sku, stock, expectedStock, currentStock, isNew }] for variants whose stock was sent;
+ *   expectedStock is the count the form was loaded with (null if not sent)
+ */
+export function normalizeVariants({ options: rawOptions, variants: rawVariants }, existing = []) {
+  const optionsInput = parseJson(rawOptions) ?? [];
+  const variantsInput = parseJson(rawVariants) ?? [];
+  if (!Array.isArray(optionsInput)) return { error: "options must be a list of { name, values }" };
+  if (!Array.isArray(variantsInput)) return { error: "variants must be a list" };
+  if (optionsInput.length > MAX_OPTION_AXES) return { error: `A product can have at most ${MAX_OPTION_AXES} options` };
+  if (variantsInput.length > MAX_VARIANTS) return { error: `A product can have at most ${MAX_VARIANTS} variants` };
+
+  const options = [];
+  for (const axis of optionsInput) {
+    const name = String(axis?.name || "").trim();
+    if (!name || INVALID_OPTION_NAME.test(name)) return { error: `Invalid option name: "${name}"` };
+    if (options.some((o) => o.name.toLowerCase() === name.toLowerCase())) return { error: `Option "${name}" is listed twice` };
+
+    const values = [...new Set((Array.isArray(axis.values) ? axis.values : []).map((v) => String(v).trim()).filter(Boolean))];
+    if (values.length === 0) return { error: `Option "${name}" needs at least one value` };
+    options.push({ name, values });
+  }
+
+  if (options.length === 0 && variantsInput.length > 0) return { error: "Add options (e.g. size or colour) before adding variants" };
+  if (options.length > 0 && variantsInput.length === 0) return { error: "Add at least one variant for the options" };
+
+  const existingById = new Map(existing.map((v) => [String(v._id), v]));
+  const existingBySku = new Map(existing.map((v) => [v.sku.toLowerCase(), v]));
+  const seenSkus = new Set();
+  const seenCombinations = new Set();
+  const variants = [];
+  const stockChanges = [];
+
+  for (const [index, raw] of variantsInput.entries()) {
+    const row = `Variant ${index + 1}`;
+    const sku = String(raw?.sku || "").trim();
+    if (!sku) return { error: `${row}: SKU is required` };
+    if (seenSkus.has(sku.toLowerCase())) return { error: `SKU ${sku} is used by more than one variant` };
+    seenSkus.add(sku.toLowerCase());
+
+    const values = plainOptions(raw.options);
+    const variantOptions = {};
+    for (const axis of options) {
+      const value = String(values[axis.name] ?? "").trim();
+      if (!axis.values.includes(value)) {
+        return { error: `${row} (${sku}): ${axis.name} must be one of ${axis.values.join(", ")}` };
+      }
+      variantOptions[axis.name] = value;
+    }
+    if (Object.keys(values).some((key) => !(key in variantOptions))) {
+      return { error: `${row} (${sku}): has an option that isn't one of ${options.map((o) => o.name).join(", ")}` };
+    }
+    const combination = options.map((axis) => variantOptions[axis.name]).join("\u0000");
+    if (seenCombinations.has(combination)) return { error: `${row} (${sku}): another variant has the same options` };
+    seenCombinations.add(combination);
+
+    if (!isBlank(raw.price) && (Number.isNaN(Number(raw.price)) || Number(raw.price) < 0)) {
+      return { error: `${row} (${sku}): invalid price` };
+    }
+    if (!isBlank(raw.stock) && (!Number.isInteger(Number(raw.stock)) || Number(raw.stock) < 0)) {
+      return { error: `${row} (${sku}): stock must be a whole number of zero or more` };
+    }
+    if (!isBlank(raw.expectedStock) && (!Number.isInteger(Number(raw.expectedStock)) || Number(raw.expectedStock) < 0)) {
+      return { error: `${row} (${sku}): expectedStock must be a whole number of zero or more` };
+    }
+
+    let match = null;
+    if (raw._id) {
+      match = existingById.get(String(raw._id));
+      if (!match) return { error: `${row} (${sku}): unknown variant id` };
+    } else {
+      match = existingBySku.get(sku.toLowerCase()) || null;
+    }
+
+    const _id = match ? match._id : new mongoose.Types.ObjectId();
+    const imageUrl = typeof raw.imageUrl === "string" ? raw.imageUrl.trim() : match?.imageUrl || "";
+    variants.push({
+      _id,
+      sku,
+      options: variantOptions,
+      price: isBlank(raw.price) ? null : Number(raw.price),
+      imageUrl,
+      // An uploaded variant image stays owned by the variant until its URL changes
+      imagePublicId: match && imageUrl === match.imageUrl ? match.imagePublicId || "" : "",
+      isActive: !(raw.isActive === false || raw.isActive === "false"),
+      stockStatus: match?.stockStatus || "out_of_stock",
+    });
+    if (!isBlank(raw.stock)) {
+      stockChanges.push({
+        _id,
+        sku,
+        stock: Number(raw.stock),
+        expectedStock: isBlank(raw.expectedStock) ? null : Number(raw.expectedStock),
+        currentStock: match?.stock || 0,
+        isNew: !match,
+      });
+    }
+  }
+
+  const keptIds = new Set(variants.map((v) => String(v._id)));
+  const removedIds = existing.filter((v) => !keptIds.has(String(v._id))).map((v) => v._id);
+
+  return { options, variants, stockChanges, removedIds };
+}